@@ -1,8 +1,21 @@
 /**
  * MV3 Service Worker
- * 职责：调用 chrome.tabs.captureVisibleTab 对当前 Tab 进行截图
+ * 职责：
+ * 1. 调用 chrome.tabs.captureVisibleTab 对当前 Tab 进行截图
+ * 2. 页面导航时按参数覆盖规则自动改写 iframe 的 src
+ * 3. tab 关闭时清理该 tab 的地址改写历史（popup.js 写入 chrome.storage.session）
+ * 4. 记录已扫描 tab 中子 frame 请求的状态码、X-Frame-Options、CSP frame-ancestors 与重定向链
+ * 5. 已开启 postMessage / 控制台记录的 tab 在 frame 导航时立即注入页面主环境钩子
  */
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+  responseCaptureFlags.delete(tabId);
+  chrome.storage.session.remove([
+    `srcHistory:${tabId}`, `frameResponses:${tabId}`, `responseCapture:${tabId}`,
+    `messageCapture:${tabId}`, `consoleCapture:${tabId}`,
+  ]);
+});
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'CAPTURE_TAB') {
     captureTab(message.tabId, message.windowId)
@@ -12,14 +25,219 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-async function captureTab(tabId, windowId) {
+/**
+ * captureVisibleTab 每秒最多调用 2 次（MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND），
+ * 完整截图 / 批量截图会连续请求，这里串行排队并保证两次调用间隔
+ */
+const CAPTURE_MIN_INTERVAL = 550;
+let captureQueue = Promise.resolve();
+let lastCaptureAt = 0;
+
+function captureTab(tabId, windowId) {
+  const run = captureQueue.then(async () => {
+    const wait = lastCaptureAt + CAPTURE_MIN_INTERVAL - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    try {
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId, {
+        format: 'png',
+        quality: 100,
+      });
+      return { dataUrl };
+    } catch (err) {
+      return { error: err.message };
+    } finally {
+      lastCaptureAt = Date.now();
+    }
+  });
+  captureQueue = run;
+  return run;
+}
+
+// ===== 参数覆盖规则 =====
+/**
+ * 规则存于 chrome.storage.local（由弹窗中的规则管理维护）：
+ * { id, name, enabled, pagePattern, srcPattern, ops: [{ type: 'set'|'remove'|'rename', key, value, to }] }
+ * 每个 frame 提交导航后，若顶层页面地址匹配 pagePattern，即向该 frame 注入 content.js 并应用规则；
+ * content.js 内的 MutationObserver 负责之后动态插入的元素
+ */
+const RULES_STORAGE_KEY = 'overrideRules';
+let rulesCache = null;
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && RULES_STORAGE_KEY in changes) rulesCache = null;
+});
+
+async function getRules() {
+  if (!rulesCache) {
+    const { [RULES_STORAGE_KEY]: rules } = await chrome.storage.local.get(RULES_STORAGE_KEY);
+    rulesCache = rules || [];
+  }
+  return rulesCache;
+}
+
+/** 通配符模式转正则：* 匹配任意字符，整串匹配；空模式匹配全部 */
+function globToRegExp(pattern) {
+  const body = (pattern || '*').trim()
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}$`);
+}
+
+chrome.webNavigation.onCommitted.addListener(async ({ tabId, frameId, url }) => {
+  const rules = (await getRules()).filter((rule) => rule.enabled && rule.ops?.length);
+  if (rules.length === 0) return;
+
   try {
-    const dataUrl = await chrome.tabs.captureVisibleTab(windowId, {
-      format: 'png',
-      quality: 100,
+    const pageUrl = frameId === 0 ? url : (await chrome.webNavigation.getFrame({ tabId, frameId: 0 }))?.url;
+    const active = rules.filter((rule) => globToRegExp(rule.pagePattern).test(pageUrl || ''));
+    if (active.length === 0) return;
+
+    const target = { tabId, frameIds: [frameId] };
+    await chrome.scripting.executeScript({ target, files: ['content.js'], injectImmediately: true });
+    await chrome.scripting.executeScript({
+      target,
+      injectImmediately: true,
+      func: (payload) => window.__ifi?.applyRules(payload),
+      args: [active.map((rule) => ({ srcRegex: globToRegExp(rule.srcPattern).source, ops: rule.ops }))],
     });
-    return { dataUrl };
-  } catch (err) {
-    return { error: err.message };
+  } catch {
+    // chrome:// 等受限页面或 frame 已销毁，忽略
   }
+});
+
+// ===== 子 frame 响应记录 =====
+/**
+ * 只记录 chrome.storage.session 中带 responseCapture:<tabId> 标记的 tab（popup 扫描过的页面；
+ * 扩展页面中的预览 iframe 请求 tabId 为 -1，预览弹窗打开期间标记）。
+ * 请求完成（或失败）后写入 chrome.storage.session 的 frameResponses:<tabId>，新的在前：
+ * { url, finalUrl, frameId, parentFrameId, statusCode, xfo, frameAncestors, redirects: [{ url, statusCode }], error, time }
+ * frameAncestors 为各条 CSP 中 frame-ancestors 的源列表（多条策略需同时满足），没有则为 null
+ */
+const FRAME_RESPONSE_LIMIT = 200;
+const SUB_FRAME_FILTER = { urls: ['<all_urls>'], types: ['sub_frame'] };
+
+const pendingFrameRequests = new Map();  // requestId → 进行中的记录
+let frameResponseQueue = Promise.resolve();
+
+/** tabId → 是否记录；未知（service worker 重启后）时先记下请求，完成时再按存储中的标记决定是否保存 */
+const responseCaptureFlags = new Map();
+const RESPONSE_CAPTURE_PREFIX = 'responseCapture:';
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'session') return;
+  Object.keys(changes)
+    .filter((key) => key.startsWith(RESPONSE_CAPTURE_PREFIX))
+    .forEach((key) => responseCaptureFlags.set(Number(key.slice(RESPONSE_CAPTURE_PREFIX.length)), !!changes[key].newValue));
+});
+
+async function isResponseCaptureOn(tabId) {
+  const key = `${RESPONSE_CAPTURE_PREFIX}${tabId}`;
+  const { [key]: enabled } = await chrome.storage.session.get(key);
+  responseCaptureFlags.set(tabId, !!enabled);
+  return !!enabled;
+}
+
+/** 从响应头中提取 frame-ancestors 指令（一个头里可用逗号合并多条策略） */
+function frameAncestorsOf(headers) {
+  const lists = headers
+    .filter((h) => h.name.toLowerCase() === 'content-security-policy')
+    .flatMap((h) => (h.value || '').split(','))
+    .map((policy) => policy.split(';').map((d) => d.trim()).find((d) => /^frame-ancestors(\s|$)/i.test(d)))
+    .filter(Boolean)
+    .map((directive) => directive.replace(/^frame-ancestors\s*/i, ''));
+  return lists.length ? lists : null;
+}
+
+chrome.webRequest.onBeforeRequest.addListener(({ requestId, url, tabId, frameId, parentFrameId }) => {
+  if (responseCaptureFlags.get(tabId) === false) return;
+  pendingFrameRequests.set(requestId, {
+    url,
+    finalUrl      : url,
+    tabId,
+    frameId,
+    parentFrameId,
+    statusCode    : 0,
+    xfo           : null,
+    frameAncestors: null,
+    redirects     : [],
+    error         : null,
+    time          : Date.now(),
+  });
+}, SUB_FRAME_FILTER);
+
+chrome.webRequest.onHeadersReceived.addListener(({ requestId, statusCode, responseHeaders = [] }) => {
+  const record = pendingFrameRequests.get(requestId);
+  if (!record) return;
+  const xfo = responseHeaders.filter((h) => h.name.toLowerCase() === 'x-frame-options').map((h) => h.value);
+  record.statusCode     = statusCode;
+  record.xfo            = xfo.length ? xfo.join(', ') : null;
+  record.frameAncestors = frameAncestorsOf(responseHeaders);
+}, SUB_FRAME_FILTER, ['responseHeaders']);
+
+chrome.webRequest.onBeforeRedirect.addListener(({ requestId, statusCode, redirectUrl }) => {
+  const record = pendingFrameRequests.get(requestId);
+  if (!record) return;
+  record.redirects.push({ url: record.finalUrl, statusCode });
+  record.finalUrl = redirectUrl;
+}, SUB_FRAME_FILTER);
+
+chrome.webRequest.onCompleted.addListener(({ requestId }) => finishFrameRequest(requestId), SUB_FRAME_FILTER);
+chrome.webRequest.onErrorOccurred.addListener(({ requestId, error }) => finishFrameRequest(requestId, error), SUB_FRAME_FILTER);
+
+function finishFrameRequest(requestId, error = null) {
+  const record = pendingFrameRequests.get(requestId);
+  if (!record) return;
+  pendingFrameRequests.delete(requestId);
+  record.error = error;
+
+  const { tabId, ...entry } = record;
+  const key = `frameResponses:${tabId}`;
+  frameResponseQueue = frameResponseQueue.then(async () => {
+    if (!(await isResponseCaptureOn(tabId))) return;
+    const { [key]: list = [] } = await chrome.storage.session.get(key);
+    list.unshift(entry);
+    let kept = list.slice(0, FRAME_RESPONSE_LIMIT);
+    // session 存储写满时逐次减半丢弃旧记录后重试，只剩这一条仍失败才放弃
+    for (;;) {
+      try {
+        await chrome.storage.session.set({ [key]: kept });
+        if (kept.length < Math.min(list.length, FRAME_RESPONSE_LIMIT)) {
+          console.warn(`会话存储空间不足，tab ${tabId} 的子 frame 响应记录已裁剪为最近 ${kept.length} 条`);
+        }
+        return;
+      } catch (err) {
+        if (kept.length <= 1) throw err;
+        kept = kept.slice(0, Math.ceil(kept.length / 2));
+      }
+    }
+  }).catch((err) => console.error(`保存 tab ${tabId} 的子 frame 响应记录失败:`, err));
 }
+
+// ===== 页面主环境钩子 =====
+/**
+ * popup 开启记录时在 chrome.storage.session 写入 <key>:<tabId>：
+ * - messageCapture  开启 postMessage 记录时写入，注入 hook.js
+ * - consoleCapture  在「日志」标签开启控制台记录时写入，注入 console-hook.js
+ * 之后该 tab 中每个 frame 提交导航即注入 content.js（缓存 / 转发记录）与对应钩子，
+ * 让刷新页面或新加载的 iframe 在页面脚本运行前就开始记录
+ */
+const MAIN_WORLD_HOOKS = [
+  { key: 'messageCapture', file: 'hook.js' },
+  { key: 'consoleCapture', file: 'console-hook.js' },
+];
+
+chrome.webNavigation.onCommitted.addListener(async ({ tabId, frameId }) => {
+  const keys = MAIN_WORLD_HOOKS.map(({ key }) => `${key}:${tabId}`);
+  const flags = await chrome.storage.session.get(keys);
+  const files = MAIN_WORLD_HOOKS.filter((_, i) => flags[keys[i]]).map(({ file }) => file);
+  if (files.length === 0) return;
+
+  try {
+    const target = { tabId, frameIds: [frameId] };
+    await chrome.scripting.executeScript({ target, files: ['content.js'], injectImmediately: true });
+    await chrome.scripting.executeScript({ target, files, world: 'MAIN', injectImmediately: true });
+  } catch {
+    // 受限页面或 frame 已销毁，忽略
+  }
+});
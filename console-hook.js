@@ -0,0 +1,78 @@
+/**
+ * 控制台记录钩子（注入页面主环境 world: 'MAIN'，每个 frame 各一份）
+ * 由 popup.js 在「日志」标签开启记录时注入所有 frame，background.js 在记录中的标签页导航时立即注入，以便记录加载阶段的错误：
+ * - 包装 console.error / console.warn，原样调用原方法
+ * - 监听未捕获异常（error 事件）与未处理的 Promise 拒绝（unhandledrejection 事件），不阻止默认行为
+ * 记录以 JSON 字符串放在 document 的 __ifi_console__ 事件中交给 content.js 缓存（跨环境只能传原始值）：
+ * { level: 'error'|'warn'|'exception'|'rejection', text, source, stack, time }
+ * 停止记录时 popup 派发 __ifi_console_ctl__（detail 为 'off'）：还原 console 方法、移除监听，之后可重新注入
+ */
+(() => {
+  if (window.__ifiConsoleHook) return;
+  window.__ifiConsoleHook = true;
+
+  const MAX_TEXT_LENGTH = 4000;
+
+  /** 参数转为文本：Error 取 name: message，对象尝试 JSON 序列化 */
+  function stringify(value) {
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (typeof value === 'string') return value;
+    if (value && typeof value === 'object') {
+      try { return JSON.stringify(value); } catch { /* 循环引用等 */ }
+    }
+    return String(value);
+  }
+
+  function emit(record) {
+    const text = record.text.length > MAX_TEXT_LENGTH ? `${record.text.slice(0, MAX_TEXT_LENGTH)}…` : record.text;
+    document.dispatchEvent(new CustomEvent('__ifi_console__', {
+      detail: JSON.stringify({ source: '', stack: '', ...record, text, time: Date.now() }),
+    }));
+  }
+
+  /** level → { native, wrapper }，还原时只在 console 方法仍是本钩子的包装时写回原方法 */
+  const wrapped = new Map();
+  ['error', 'warn'].forEach((level) => {
+    const native = console[level];
+    const wrapper = function (...args) {
+      try {
+        // 去掉首行「Error」与包装函数本身，保留调用方堆栈
+        const stack = (new Error().stack || '').split('\n').slice(2).join('\n');
+        emit({ level, text: args.map(stringify).join(' '), stack });
+      } catch { /* 记录失败不影响页面输出 */ }
+      return native.apply(this, args);
+    };
+    console[level] = wrapper;
+    wrapped.set(level, { native, wrapper });
+  });
+
+  const onError = (event) => {
+    // 捕获阶段也会收到图片 / 脚本等资源的加载失败（target 为元素），这里只记录脚本异常
+    if (!(event instanceof ErrorEvent)) return;
+    emit({
+      level : 'exception',
+      text  : event.message || stringify(event.error),
+      source: event.filename ? `${event.filename}:${event.lineno}:${event.colno}` : '',
+      stack : event.error?.stack || '',
+    });
+  };
+
+  const onRejection = (event) => {
+    emit({ level: 'rejection', text: stringify(event.reason), stack: event.reason?.stack || '' });
+  };
+
+  window.addEventListener('error', onError, true);
+  window.addEventListener('unhandledrejection', onRejection);
+
+  const onControl = (e) => {
+    if (e.detail !== 'off') return;
+    wrapped.forEach(({ native, wrapper }, level) => {
+      if (console[level] === wrapper) console[level] = native;
+    });
+    window.removeEventListener('error', onError, true);
+    window.removeEventListener('unhandledrejection', onRejection);
+    document.removeEventListener('__ifi_console_ctl__', onControl);
+    window.__ifiConsoleHook = false;
+  };
+  document.addEventListener('__ifi_console_ctl__', onControl);
+})();
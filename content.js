@@ -1,5 +1,528 @@
 /**
- * Content Script（备用）
- * 实际扫描与截图定位逻辑已通过 chrome.scripting.executeScript 从 popup.js 直接注入，
- * 无需依赖此文件是否提前注入。保留此文件仅为防止扩展加载时报错。
+ * Content Script（按需注入）
+ * 由 popup.js 在扫描 / 操作前通过 chrome.scripting.executeScript({ files: ['content.js'] }) 注入目标 frame，
+ * 在扩展隔离环境中挂载 window.__ifi 工具集，供随后注入的函数复用，无需依赖此文件是否提前注入：
+ * - collect()          遍历文档及所有开放 shadow root，收集 iframe / frame / embed / object，
+ *                      并给每个元素打上持久标记 data-ifi-id（重复扫描时沿用已有标记）
+ * - resolve(locator)   按标记找回同一元素；元素已被移除时返回 null，调用方返回 GONE 告知 popup
+ * - setSrc(el, url)    按元素类型替换地址并触发重新加载
+ * - resize(el, w, h)  临时固定元素尺寸（预览弹窗「应用到页面」），restoreSize(el) 还原原 inline 样式
+ * - applyRules(rules)  由 background.js 在页面导航时调用，按参数覆盖规则改写匹配元素的地址，
+ *                      并持续观察之后插入 / 修改的元素
+ * - timing()           读取当前文档的导航计时与资源计时（含本文档内嵌入元素的加载条目）
+ * - consoleLogs()      返回 console-hook.js 在本文档记录的错误 / 警告
+ * - inspectDocument()  读取当前文档的地址、标题、meta、字符集、doctype 等概况与元素树
+ * 另外监听名为 ifi-watch 的连接：连接期间用 MutationObserver / ResizeObserver 观察嵌入元素的
+ * 增删、src 变化与尺寸变化，通过端口通知 popup；popup 关闭（端口断开）即停止观察
+ * 以及名为 ifi-messages 的连接：补发并持续转发 hook.js 在页面主环境记录的 postMessage 消息
  */
+(() => {
+  if (window.__ifi) return;
+
+  const MARK_ATTR = 'data-ifi-id';
+  /** 被临时调整尺寸的元素上记录原 inline 样式（JSON），供还原 */
+  const RESIZE_ATTR = 'data-ifi-resized';
+  /** 注入函数找不到元素时的返回值，popup 据此提示「元素已不在页面中」 */
+  const GONE = '__ifi_gone__';
+
+  /** 各类嵌入元素的选择器（object 仅统计带 data 的） */
+  const KIND_SELECTORS = {
+    iframe: 'iframe',
+    frame : 'frame',
+    embed : 'embed',
+    object: 'object[data]',
+  };
+  const KINDS = Object.keys(KIND_SELECTORS);
+  const ALL_SELECTOR = Object.values(KIND_SELECTORS).join(',');
+
+  /** 元素对应的嵌入类型，不是 iframe / frame / embed / object[data] 时为 null */
+  function kindOf(el) {
+    return KINDS.find((kind) => el.matches(KIND_SELECTORS[kind])) || null;
+  }
+
+  /** 读取元素地址：iframe / frame / embed 为 src，object 为 data */
+  function getSrc(el, kind) {
+    if (kind === 'object') return el.data || el.getAttribute('data') || '';
+    return el.src || el.getAttribute('src') || '';
+  }
+
+  /** iframe 的安全相关属性；未设置为 null（区别于空值，如 sandbox="" 表示最严格的沙箱） */
+  function securityAttrs(el) {
+    const attr = (name) => (el.hasAttribute(name) ? el.getAttribute(name) : null);
+    return {
+      sandbox       : attr('sandbox'),
+      allow         : attr('allow'),
+      referrerpolicy: attr('referrerpolicy'),
+      loading       : attr('loading'),
+      credentialless: el.hasAttribute('credentialless'),
+      csp           : attr('csp'),
+    };
+  }
+
+  /** 当前 root 下（不穿透 shadow）所有开放 shadow root 的宿主 */
+  function shadowHosts(root) {
+    return Array.from(root.querySelectorAll('*')).filter((el) => el.shadowRoot);
+  }
+
+  /** shadow 宿主的可读标签：tag#id.class */
+  function describeHost(el) {
+    let label = el.localName;
+    if (el.id) label += `#${el.id}`;
+    else if (el.classList.length) label += `.${el.classList[0]}`;
+    return label;
+  }
+
+  /**
+   * 按文档顺序深度优先遍历 root 及其下所有开放 shadow root：各类嵌入元素按出现位置访问，
+   * shadow root 在其宿主所在位置展开，扫描序号因此与页面中的先后顺序一致
+   * @param {(el: Element, kind: string, shadowPath: string[]) => void} visit
+   */
+  function walk(root, shadowPath, visit) {
+    root.querySelectorAll('*').forEach((el) => {
+      if (el.matches(ALL_SELECTOR)) visit(el, kindOf(el), shadowPath);
+      if (el.shadowRoot) walk(el.shadowRoot, [...shadowPath, describeHost(el)], visit);
+    });
+  }
+
+  /**
+   * 遍历新插入的元素：元素自身、后代以及其中的开放 shadow root（插入时无从得知 shadow 路径，传空）
+   * 供 MutationObserver 只处理变化涉及的节点
+   */
+  function walkInserted(el, visit) {
+    const kind = kindOf(el);
+    if (kind) visit(el, kind, []);
+    if (el.shadowRoot) walk(el.shadowRoot, [], visit);
+    walk(el, [], visit);
+  }
+
+  /** root 下各层级的开放 shadow root（root 为元素且自身是宿主时也包括其 shadow root） */
+  function shadowRootsIn(root) {
+    const hosts = shadowHosts(root);
+    if (root.shadowRoot) hosts.unshift(root);
+    return hosts.flatMap((host) => [host.shadowRoot, ...shadowRootsIn(host.shadowRoot)]);
+  }
+
+  /** 读取元素标记，没有则生成一个并写回元素；页面克隆节点导致标记重复时重新生成 */
+  function markOf(el, seen) {
+    let uid = el.getAttribute(MARK_ATTR);
+    if (!uid || seen.has(uid)) {
+      uid = `ifi-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      el.setAttribute(MARK_ATTR, uid);
+    }
+    seen.add(uid);
+    return uid;
+  }
+
+  function collect() {
+    const list = [];
+    const seen = new Set();
+    walk(document, [], (el, kind, shadowPath) => {
+      const rect = el.getBoundingClientRect();
+      const uid  = markOf(el, seen);
+      // 子 frame 的 frameId，用于把子 frame 内扫描到的元素挂到该节点下（-1 表示尚未加载 / 无法获取）
+      let childFrameId = -1;
+      try { childFrameId = chrome.runtime.getFrameId(el); } catch { /* 旧版本浏览器或非浏览上下文元素 */ }
+      list.push({
+        kind,
+        uid,
+        locator   : { kind, uid },
+        shadowPath,
+        childFrameId,
+        src       : getSrc(el, kind),
+        srcdoc    : kind === 'iframe' && el.hasAttribute('srcdoc'),
+        type      : el.getAttribute('type') || '',
+        id        : el.id    || '',
+        name      : el.getAttribute('name')  || '',
+        title     : el.title || '',
+        width     : Math.round(rect.width),
+        height    : Math.round(rect.height),
+        inViewport: (
+          rect.top    >= 0 &&
+          rect.left   >= 0 &&
+          rect.bottom <= window.innerHeight &&
+          rect.right  <= window.innerWidth
+        ),
+        // 所在文档的 origin（about:srcdoc 等继承父文档），用于判断第三方与混合内容
+        docOrigin : location.origin,
+        security  : kind === 'iframe' ? securityAttrs(el) : null,
+        resized   : el.hasAttribute(RESIZE_ATTR),
+      });
+    });
+    return list;
+  }
+
+  /** 在 root 及其下所有开放 shadow root 中查找带指定标记的元素 */
+  function findByMark(root, uid) {
+    const hit = root.querySelector(`[${MARK_ATTR}="${CSS.escape(uid)}"]`);
+    if (hit) return hit;
+    for (const host of shadowHosts(root)) {
+      const found = findByMark(host.shadowRoot, uid);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /** 按 collect() 生成的 locator 找回元素（不按位置兜底，避免页面增删元素后误操作其他元素） */
+  function resolve(locator) {
+    if (!locator?.uid) return null;
+    const el = findByMark(document, locator.uid);
+    return el && el.localName === locator.kind ? el : null;
+  }
+
+  function setSrc(el, url) {
+    if (el.localName === 'object') {
+      el.data = url;
+    } else if (el.localName === 'embed') {
+      // embed 修改 src 后不一定重新加载，替换为克隆节点强制重建
+      el.src = url;
+      el.replaceWith(el.cloneNode(true));
+    } else {
+      el.src = url;
+    }
+  }
+
+  // ===== 临时尺寸 =====
+  const SIZE_PROPS = ['width', 'height', 'min-width', 'min-height', 'max-width', 'max-height'];
+
+  /** 以 !important inline 样式固定元素尺寸；首次调整时记下原 inline 值与优先级，重复调整不覆盖 */
+  function resize(el, width, height) {
+    if (!el.hasAttribute(RESIZE_ATTR)) {
+      const orig = SIZE_PROPS.map((prop) => [prop, el.style.getPropertyValue(prop), el.style.getPropertyPriority(prop)]);
+      el.setAttribute(RESIZE_ATTR, JSON.stringify(orig));
+    }
+    const size = { width: `${width}px`, height: `${height}px` };
+    SIZE_PROPS.forEach((prop) => el.style.setProperty(prop, size[prop.replace(/^(min|max)-/, '')], 'important'));
+  }
+
+  function restoreSize(el) {
+    let orig = [];
+    try { orig = JSON.parse(el.getAttribute(RESIZE_ATTR)) || []; } catch { /* 属性被页面改写，直接清除尺寸 */ }
+    SIZE_PROPS.forEach((prop) => el.style.removeProperty(prop));
+    orig.forEach(([prop, value, priority]) => { if (value) el.style.setProperty(prop, value, priority); });
+    el.removeAttribute(RESIZE_ATTR);
+  }
+
+  // ===== 性能数据 =====
+  const TIMING_RESOURCE_LIMIT = 300;
+  const TIMING_FIELDS = [
+    'startTime', 'duration', 'redirectStart', 'redirectEnd', 'domainLookupStart', 'domainLookupEnd',
+    'connectStart', 'connectEnd', 'requestStart', 'responseStart', 'responseEnd', 'transferSize', 'encodedBodySize',
+  ];
+
+  /** PerformanceEntry 只取用到的字段（时间为相对本文档 timeOrigin 的毫秒数），便于跨环境传递 */
+  function pickTiming(entry) {
+    const picked = { name: entry.name, initiatorType: entry.initiatorType || 'navigation' };
+    TIMING_FIELDS.forEach((key) => { picked[key] = Math.round((entry[key] || 0) * 10) / 10; });
+    return picked;
+  }
+
+  /**
+   * 当前文档的导航计时与资源计时；资源中 initiatorType 为 iframe / frame 等的条目即本文档内嵌入元素的加载记录
+   * 跨域资源未返回 Timing-Allow-Origin 时，浏览器会把各阶段时间与大小置 0，只保留起止时间
+   */
+  function timing() {
+    const nav = performance.getEntriesByType('navigation')[0];
+    return {
+      url       : location.href,
+      timeOrigin: performance.timeOrigin,
+      navigation: nav ? {
+        ...pickTiming(nav),
+        type                    : nav.type,
+        redirectCount           : nav.redirectCount,
+        domContentLoadedEventEnd: Math.round(nav.domContentLoadedEventEnd * 10) / 10,
+        loadEventEnd            : Math.round(nav.loadEventEnd * 10) / 10,
+      } : null,
+      resources : performance.getEntriesByType('resource').slice(-TIMING_RESOURCE_LIMIT).map(pickTiming),
+    };
+  }
+
+  // ===== 文档检查 =====
+  const TREE_NODE_LIMIT  = 2000;
+  const TREE_DEPTH_LIMIT = 16;
+  const HINT_ATTRS = ['src', 'href', 'action', 'name', 'type'];
+
+  function doctypeOf(doc) {
+    const dt = doc.doctype;
+    if (!dt) return null;
+    let text = `<!DOCTYPE ${dt.name}`;
+    if (dt.publicId) text += ` PUBLIC "${dt.publicId}"`;
+    if (dt.systemId) text += `${dt.publicId ? '' : ' SYSTEM'} "${dt.systemId}"`;
+    return `${text}>`;
+  }
+
+  /**
+   * 当前文档概况与元素树（含开放 shadow root，以 #shadow-root 节点表示）
+   * 元素树按深度优先截取前 TREE_NODE_LIMIT 个节点，超出部分只保留子元素数量，truncated 为 true
+   */
+  function inspectDocument() {
+    let budget = TREE_NODE_LIMIT;
+    let truncated = false;
+
+    const describeChildren = (children, depth) => {
+      const list = [];
+      for (const child of children) {
+        if (budget <= 0 || depth > TREE_DEPTH_LIMIT) { truncated = true; break; }
+        list.push(describe(child, depth));
+      }
+      return list;
+    };
+    const describe = (el, depth) => {
+      budget -= 1;
+      const hintAttr = HINT_ATTRS.find((name) => el.hasAttribute(name));
+      const node = {
+        tag       : el.localName,
+        id        : el.id || '',
+        cls       : (el.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 3).join('.'),
+        hint      : hintAttr ? `${hintAttr}="${el.getAttribute(hintAttr).slice(0, 80)}"` : '',
+        childCount: el.children.length + (el.shadowRoot ? 1 : 0),
+        children  : [],
+      };
+      if (el.shadowRoot) {
+        node.children.push({
+          tag: '#shadow-root', id: '', cls: '', hint: '', childCount: el.shadowRoot.children.length,
+          children: describeChildren(el.shadowRoot.children, depth + 1),
+        });
+      }
+      node.children.push(...describeChildren(el.children, depth + 1));
+      return node;
+    };
+
+    const metas = Array.from(document.querySelectorAll('meta')).map((m) => {
+      const attr = ['name', 'property', 'http-equiv', 'itemprop'].find((name) => m.hasAttribute(name));
+      if (!attr) return { attr: 'charset', key: 'charset', content: m.getAttribute('charset') || '' };
+      return { attr, key: m.getAttribute(attr), content: m.getAttribute('content') || '' };
+    });
+
+    return {
+      url        : location.href,
+      title      : document.title,
+      charset    : document.characterSet,
+      contentType: document.contentType,
+      doctype    : doctypeOf(document),
+      compatMode : document.compatMode,
+      readyState : document.readyState,
+      lang       : document.documentElement?.lang || '',
+      metas,
+      counts     : {
+        elements     : document.getElementsByTagName('*').length,
+        scripts      : document.querySelectorAll('script[src]').length,
+        inlineScripts: document.querySelectorAll('script:not([src])').length,
+        stylesheets  : document.querySelectorAll('link[rel~="stylesheet" i]').length,
+        styleTags    : document.querySelectorAll('style').length,
+        forms        : document.forms.length,
+        frames       : document.querySelectorAll(ALL_SELECTOR).length,
+      },
+      tree       : document.documentElement ? describe(document.documentElement, 0) : null,
+      truncated,
+    };
+  }
+
+  // ===== 实时监听 =====
+  const WATCH_ATTRS  = ['src', 'data', 'srcdoc'];
+
+  /** 节点本身或其子孙是否包含嵌入元素 */
+  function touchesEmbeds(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return false;
+    return node.matches(ALL_SELECTOR) || !!node.querySelector(ALL_SELECTOR);
+  }
+
+  function startWatch(port) {
+    let pending = [];
+    let timer = null;
+    const sized = new WeakSet();   // ResizeObserver 首次回调为初始尺寸，不算变化
+
+    // 合并 250ms 内的变化后一次性发送
+    const report = (change) => {
+      pending.push(change);
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        const changes = pending;
+        pending = [];
+        try { port.postMessage({ type: 'IFRAME_MUTATION', changes }); } catch { stop(); }
+      }, 250);
+    };
+
+    const resizeObserver = new ResizeObserver((entries) => {
+      entries.forEach(({ target }) => {
+        if (!sized.has(target)) { sized.add(target); return; }
+        report({ type: 'resize', uid: target.getAttribute(MARK_ATTR) });
+      });
+    });
+
+    const mutationObserver = new MutationObserver((records) => {
+      records.forEach((rec) => {
+        if (rec.type === 'attributes') {
+          if (rec.target.matches(ALL_SELECTOR)) {
+            report({ type: 'src', uid: rec.target.getAttribute(MARK_ATTR) });
+          }
+          return;
+        }
+        if ([...rec.addedNodes].some(touchesEmbeds))   report({ type: 'added' });
+        if ([...rec.removedNodes].some(touchesEmbeds)) report({ type: 'removed' });
+        // 只把新插入节点下的嵌入元素 / shadow root 纳入观察，不重新遍历整个文档
+        rec.addedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          walkInserted(node, (el) => resizeObserver.observe(el));
+          shadowRootsIn(node).forEach(observeRoot);
+        });
+      });
+    });
+
+    function observeRoot(root) {
+      mutationObserver.observe(root, {
+        childList: true, subtree: true, attributes: true, attributeFilter: WATCH_ATTRS,
+      });
+    }
+
+    function stop() {
+      clearTimeout(timer);
+      mutationObserver.disconnect();
+      resizeObserver.disconnect();
+    }
+
+    walk(document, [], (el) => resizeObserver.observe(el));
+    [document, ...shadowRootsIn(document)].forEach(observeRoot);
+    port.onDisconnect.addListener(stop);
+  }
+
+  // ===== postMessage 记录 =====
+  const MESSAGE_BUFFER_LIMIT = 500;
+  /** hook.js 上报的消息记录（本 frame 收到 / 发往本 frame 未送达），popup 连接时一次性补发 */
+  const messageBuffer = [];
+  const messagePorts = new Set();
+  let frameId = -1;
+  try { frameId = chrome.runtime.getFrameId(window); } catch { /* 旧版本浏览器 */ }
+
+  document.addEventListener('__ifi_postmessage__', (e) => {
+    let record;
+    try { record = JSON.parse(e.detail); } catch { return; }
+    record.frameId = frameId;
+    record.frameUrl = location.href;
+    messageBuffer.push(record);
+    if (messageBuffer.length > MESSAGE_BUFFER_LIMIT) messageBuffer.shift();
+    messagePorts.forEach((port) => {
+      try { port.postMessage({ type: 'POST_MESSAGES', records: [record] }); } catch { messagePorts.delete(port); }
+    });
+  });
+
+  function startMessageStream(port) {
+    messagePorts.add(port);
+    port.onDisconnect.addListener(() => messagePorts.delete(port));
+    port.postMessage({ type: 'POST_MESSAGES', records: messageBuffer.slice() });
+  }
+
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name === 'ifi-watch') startWatch(port);
+    else if (port.name === 'ifi-messages') startMessageStream(port);
+  });
+
+  // ===== 控制台记录 =====
+  const CONSOLE_BUFFER_LIMIT = 300;
+  /** console-hook.js 上报的错误 / 警告，连续重复的同一条合并计数 */
+  const consoleBuffer = [];
+
+  document.addEventListener('__ifi_console__', (e) => {
+    let record;
+    try { record = JSON.parse(e.detail); } catch { return; }
+    const last = consoleBuffer[consoleBuffer.length - 1];
+    if (last && last.level === record.level && last.text === record.text && last.source === record.source) {
+      last.count += 1;
+      last.time = record.time;
+      return;
+    }
+    consoleBuffer.push({ ...record, count: 1 });
+    if (consoleBuffer.length > CONSOLE_BUFFER_LIMIT) consoleBuffer.shift();
+  });
+
+  function consoleLogs() {
+    return consoleBuffer.slice();
+  }
+
+  // ===== 参数覆盖规则 =====
+  let overrideRules = [];
+  let ruleObserver = null;
+
+  /**
+   * 按规则操作改写 URL 查询参数；没有任何实际变化时原样返回，避免重复加载
+   * @param {{type: 'set'|'remove'|'rename', key: string, value?: string, to?: string}[]} ops
+   */
+  function rewriteUrl(url, ops) {
+    let u;
+    try { u = new URL(url, location.href); } catch { return url; }
+    const sp = u.searchParams;
+    let changed = false;
+
+    ops.forEach(({ type, key, value = '', to = '' }) => {
+      if (type === 'set') {
+        if (sp.getAll(key).length === 1 && sp.get(key) === value) return;
+        sp.set(key, value);
+        changed = true;
+      } else if (type === 'remove') {
+        if (!sp.has(key)) return;
+        sp.delete(key);
+        changed = true;
+      } else if (type === 'rename') {
+        if (!sp.has(key) || !to || to === key) return;
+        const values = sp.getAll(key);
+        sp.delete(key);
+        values.forEach((v) => sp.append(to, v));
+        changed = true;
+      }
+    });
+    return changed ? u.toString() : url;
+  }
+
+  /** 对单个元素应用所有匹配的规则 */
+  function applyRulesTo(el, kind) {
+    const src = getSrc(el, kind);
+    if (!src) return;
+    const next = overrideRules
+      .filter((rule) => rule.srcRegex.test(src))
+      .reduce((url, rule) => rewriteUrl(url, rule.ops), src);
+    if (next !== src) setSrc(el, next);
+  }
+
+  function applyRulesAll() {
+    walk(document, [], applyRulesTo);
+  }
+
+  /**
+   * @param {{srcRegex: string, ops: object[]}[]} rules - srcRegex 为 background 编译好的正则源码
+   */
+  function applyRules(rules) {
+    overrideRules = rules.map((rule) => ({ ...rule, srcRegex: new RegExp(rule.srcRegex) }));
+    applyRulesAll();
+    if (ruleObserver) return;
+
+    // 页面后续插入的元素、被脚本改写的地址同样要覆盖（改写结果不再变化，不会循环触发）；
+    // 只处理变化涉及的节点，shadow root 也只在其宿主新插入时才开始监听
+    ruleObserver = new MutationObserver((mutations) => {
+      mutations.forEach(({ type, target, addedNodes }) => {
+        if (type === 'attributes') {
+          const kind = kindOf(target);
+          if (kind) applyRulesTo(target, kind);
+          return;
+        }
+        addedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          walkInserted(node, applyRulesTo);
+          shadowRootsIn(node).forEach(observeRoot);
+        });
+      });
+    });
+    const observed = new WeakSet();
+    const observeRoot = (root) => {
+      if (observed.has(root)) return;
+      observed.add(root);
+      ruleObserver.observe(root, {
+        childList: true, subtree: true, attributes: true, attributeFilter: ['src', 'data'],
+      });
+    };
+    [document, ...shadowRootsIn(document)].forEach(observeRoot);
+  }
+
+  window.__ifi = {
+    GONE, collect, resolve, setSrc, applyRules, resize, restoreSize, timing, consoleLogs, inspectDocument,
+  };
+})();
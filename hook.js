@@ -0,0 +1,111 @@
+/**
+ * postMessage 记录钩子（注入页面主环境 world: 'MAIN'，每个 frame 各一份）
+ * 由 popup.js 开启消息记录时注入所有 frame，background.js 在已开启记录的标签页导航时立即注入，
+ * 以便捕获页面加载阶段的握手消息：
+ * - 监听本 frame 收到的所有 message 事件，记录发送方 origin 与发送方窗口相对本 frame 的关系
+ * - 包装本 frame 的 window.postMessage：同源脚本向本 frame 发消息时可得到 targetOrigin，
+ *   targetOrigin 与本 frame 不匹配（浏览器会丢弃该消息）时记为未送达
+ * 记录以 JSON 字符串放在 document 的 __ifi_postmessage__ 事件中交给 content.js（跨环境只能传原始值），
+ * 由 content.js 缓存并转发给 popup；__ifi_postmessage_ctl__ 事件（detail 为 'on' / 'off'）开关记录
+ */
+(() => {
+  if (window.__ifiMessageHook) return;
+  window.__ifiMessageHook = true;
+
+  const MARK_ATTR = 'data-ifi-id';
+  const MAX_DATA_LENGTH = 64 * 1024;
+  const PENDING_LIMIT = 50;
+
+  let enabled = true;
+  let seq = 0;
+  /** 经由包装后的 postMessage 发出、尚未收到对应 message 事件的消息 [{ text, targetOrigin }] */
+  const pending = [];
+
+  /** 消息内容转为文本：字符串原样保留，可 JSON 序列化的对象记为 json，其余（含循环引用）取 String() */
+  function serialize(value) {
+    let text;
+    let json = false;
+    if (typeof value === 'string') {
+      text = value;
+    } else {
+      try {
+        text = JSON.stringify(value);
+        json = text !== undefined;
+      } catch { /* 循环引用 / BigInt 等 */ }
+      if (!json) text = String(value);
+    }
+    if (text.length > MAX_DATA_LENGTH) return { text: `${text.slice(0, MAX_DATA_LENGTH)}…`, json: false, truncated: true };
+    return { text, json };
+  }
+
+  /** 在文档及开放 shadow root 中查找 contentWindow 为 win 的 iframe / frame */
+  function findFrameElement(root, win) {
+    for (const el of root.querySelectorAll('iframe, frame')) {
+      if (el.contentWindow === win) return el;
+    }
+    for (const host of root.querySelectorAll('*')) {
+      if (!host.shadowRoot) continue;
+      const found = findFrameElement(host.shadowRoot, win);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /** 发送方窗口相对本 frame 的关系；子 iframe 附带 content.js 写入的定位标记 */
+  function relationOf(win) {
+    if (!win) return { rel: 'unknown' };
+    if (win === window) return { rel: 'self' };
+    if (win === window.parent) return { rel: 'parent' };
+    if (win === window.top) return { rel: 'top' };
+    const el = findFrameElement(document, win);
+    if (el) return { rel: 'child', uid: el.getAttribute(MARK_ATTR) || '' };
+    return { rel: 'other' };
+  }
+
+  function emit(record) {
+    document.dispatchEvent(new CustomEvent('__ifi_postmessage__', {
+      detail: JSON.stringify({ id: `${Date.now().toString(36)}-${(seq++).toString(36)}-${Math.random().toString(36).slice(2, 6)}`, ...record }),
+    }));
+  }
+
+  window.addEventListener('message', (event) => {
+    if (!enabled) return;
+    const data = serialize(event.data);
+    const i = pending.findIndex((p) => p.text === data.text);
+    const sent = i >= 0 ? pending.splice(i, 1)[0] : null;
+    emit({
+      time        : Date.now(),
+      origin      : event.origin,
+      targetOrigin: sent ? sent.targetOrigin : null,
+      peer        : relationOf(event.source),
+      ports       : event.ports.length,
+      dropped     : false,
+      ...data,
+    });
+  }, true);
+
+  const nativePostMessage = window.postMessage;
+  window.postMessage = function postMessage(message, options) {
+    if (enabled) {
+      const targetOrigin = options && typeof options === 'object' ? options.targetOrigin ?? '/' : String(options);
+      let mismatch = false;
+      try {
+        mismatch = targetOrigin !== '*' && targetOrigin !== '/' && new URL(targetOrigin).origin !== location.origin;
+      } catch { /* 非法 targetOrigin，交给原生方法抛错 */ }
+
+      const data = serialize(message);
+      if (mismatch) {
+        emit({ time: Date.now(), origin: null, targetOrigin, peer: { rel: 'unknown' }, ports: 0, dropped: true, ...data });
+      } else {
+        pending.push({ text: data.text, targetOrigin });
+        if (pending.length > PENDING_LIMIT) pending.shift();
+      }
+    }
+    return nativePostMessage.apply(this, arguments);
+  };
+
+  document.addEventListener('__ifi_postmessage_ctl__', (e) => {
+    enabled = e.detail === 'on';
+    if (!enabled) pending.length = 0;
+  });
+})();
@@ -25,6 +25,10 @@ const CONFIRM_ICONS = {
     <path d="M3 4v5h5" stroke-linecap="round" stroke-linejoin="round"/>
     <path d="M12 8v4l3 2" stroke-linecap="round"/>
   </svg>`,
+  edit: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8">
+    <path d="M4 20h4L19 9l-4-4L4 16z" stroke-linejoin="round"/>
+    <path d="M13 7l4 4" stroke-linecap="round"/>
+  </svg>`,
 };
 
 /**
@@ -90,31 +94,72 @@ function showConfirm(message, opts = {}) {
   });
 }
 
+/**
+ * 输入型弹窗（复用确认弹窗），确认返回去除首尾空白的输入值，取消返回 null
+ * @param {string} message
+ * @param {object} [opts] - 同 showConfirm，另支持 value / placeholder
+ */
+async function showPrompt(message, opts = {}) {
+  const { value = '', placeholder = '', ...rest } = opts;
+  const pending = showConfirm(
+    `${message}<input id="confirm-input" class="confirm-input" type="text" spellcheck="false"` +
+    ` placeholder="${escHtml(placeholder)}" value="${escHtml(value)}"/>`,
+    { confirmText: '确定', confirmClass: 'btn-primary', icon: 'edit', ...rest }
+  );
+  const input = $('confirm-input');
+  input.focus();
+  input.select();
+  input.addEventListener('keydown', (e) => { if (e.key === 'Enter') $('confirm-ok').click(); });
+  return (await pending) ? input.value.trim() : null;
+}
+
 // ===== 全局状态 =====
 let iframeList = [];        // 扫描到的 iframe 数组
 let currentTabId = null;
 let currentWindowId = null;
+let currentPageUrl = '';    // 当前 tab 的页面地址（导出报告用）
 let activeModalIndex = -1;  // 当前打开模态框对应的 iframe 索引
 let lastSnapshotUrl = '';    // 最新截图的 data URL（用于保存）
+let captureFullMode = false; // 完整截图模式：滚动拼接超出视口的部分
+const snapshotCache = new Map();  // uid → 最近一次截图的 data URL（批量截图 / 导出复用）
+const snapshotHistory = new Map();  // uid → 历次截图 [{ dataUrl, time, src }]（快照对比用）
 let _highlightTimer = null;  // 卡片 hover 高亮防抖计时器
+let watchPort = null;        // 实时监听模式下与页面各 frame 的连接端口
+let _watchTimer = null;      // 实时监听增量扫描防抖计时器
+let statusState = { name: 'idle', errorMsg: '' };  // 状态栏当前状态（切换 tab 时保存 / 恢复）
+
+/** 是否以侧边栏方式打开（background.js 中为侧边栏配置了 ?mode=sidepanel） */
+const IS_SIDE_PANEL = new URLSearchParams(location.search).get('mode') === 'sidepanel';
+const tabStates = new Map();  // 侧边栏模式下各 tab 的扫描状态，卡片 DOM 原样保留（含未提交的参数编辑）
 
 // ===== 初始化 =====
 async function init() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   currentTabId = tab?.id ?? null;
   currentWindowId = tab?.windowId ?? null;
+  updatePageHost(tab?.url);
 
-  if (tab?.url) {
-    try {
-      $('page-host').textContent = new URL(tab.url).hostname;
-    } catch {
-      $('page-host').textContent = tab.url.slice(0, 40);
-    }
-  }
+  if (IS_SIDE_PANEL) initSidePanel();
 
   // 这些元素理论上都在 popup.html 中，但为防止模板变更导致空引用，这里加一层存在性判断
   const btnScan = $('btn-scan');
-  if (btnScan) btnScan.addEventListener('click', handleScan);
+  if (btnScan) btnScan.addEventListener('click', () => handleScan());
+
+  const btnWatch = $('btn-watch');
+  if (btnWatch) btnWatch.addEventListener('click', toggleWatch);
+
+  const btnSidePanel = $('btn-sidepanel');
+  if (btnSidePanel) btnSidePanel.addEventListener('click', openSidePanel);
+
+  initRulesManager();
+  initUrlDiff();
+  initScanSessions();
+  initMessageInspector();
+  initPreviewDevices();
+  $('btn-history')?.addEventListener('click', openSrcHistory);
+  $('history-close').addEventListener('click', closeSrcHistory);
+  $('history-backdrop').addEventListener('click', closeSrcHistory);
+  $('history-clear').addEventListener('click', clearSrcHistory);
 
   // 打开插件时自动扫描，无需手动点击
   handleScan();
@@ -128,6 +173,79 @@ async function init() {
   const btnCapture = $('btn-capture');
   if (btnCapture) btnCapture.addEventListener('click', handleCapture);
 
+  const btnCaptureFull = $('btn-capture-full');
+  if (btnCaptureFull) btnCaptureFull.addEventListener('click', () => {
+    captureFullMode = !captureFullMode;
+    btnCaptureFull.classList.toggle('active', captureFullMode);
+  });
+
+  // 快照对比
+  const btnCompare = $('btn-compare');
+  if (btnCompare) btnCompare.addEventListener('click', () => {
+    if ($('compare-view').classList.contains('hidden')) openCompare();
+    else closeCompare();
+  });
+  $('compare-close')?.addEventListener('click', closeCompare);
+  $('compare-a')?.addEventListener('change', renderCompare);
+  $('compare-b')?.addEventListener('change', renderCompare);
+  $('compare-opacity')?.addEventListener('input', drawCompareMode);
+  document.querySelectorAll('.compare-mode').forEach((btn) => {
+    btn.addEventListener('click', () => setCompareMode(btn.dataset.mode));
+  });
+
+  const btnCaptureAll = $('btn-capture-all');
+  if (btnCaptureAll) btnCaptureAll.addEventListener('click', handleCaptureAll);
+
+  // 导出菜单
+  const btnExport = $('btn-export');
+  if (btnExport) btnExport.addEventListener('click', (e) => {
+    e.stopPropagation();
+    $('export-menu').classList.toggle('hidden');
+  });
+  document.querySelectorAll('[data-export]').forEach((item) => {
+    item.addEventListener('click', () => {
+      $('export-menu').classList.add('hidden');
+      exportScanResult(item.dataset.export);
+    });
+  });
+  document.addEventListener('click', () => $('export-menu')?.classList.add('hidden'));
+
+  // 参数预设
+  const btnParamsPreset = $('btn-params-preset');
+  if (btnParamsPreset) btnParamsPreset.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openPresetMenu(e.currentTarget, paramsPanelPresetTarget());
+  });
+
+  // 弹层参数编辑器
+  $('btn-add-param')?.addEventListener('click', () => addParamRow());
+  $('param-rows')?.addEventListener('dragover', handleParamRowDragOver);
+  $('btn-reset-params')?.addEventListener('click', resetParamsEditor);
+  $('btn-apply-save')?.addEventListener('click', handleSaveParams);
+  $('btn-response-refresh')?.addEventListener('click', () => {
+    if (iframeList[activeModalIndex]) fillResponsePanel(iframeList[activeModalIndex]);
+  });
+  $('btn-console-capture')?.addEventListener('click', toggleConsoleCapture);
+  $('btn-console-refresh')?.addEventListener('click', async () => {
+    await refreshConsoleLogs();
+    if (iframeList[activeModalIndex]) fillConsolePanel(iframeList[activeModalIndex]);
+  });
+  $('console-level-filter')?.addEventListener('change', () => {
+    if (iframeList[activeModalIndex]) fillConsolePanel(iframeList[activeModalIndex]);
+  });
+  $('btn-document-refresh')?.addEventListener('click', () => loadDocumentPanel({ force: true }));
+  $('btn-timing-refresh')?.addEventListener('click', async () => {
+    await refreshTimings();
+    if (iframeList[activeModalIndex]) fillTimingPanel(iframeList[activeModalIndex]);
+  });
+  $('preset-import-file')?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importPresetLibrary(file);
+  });
+  document.addEventListener('click', closePresetMenu);
+  $('iframe-list')?.addEventListener('scroll', closePresetMenu);
+
   const btnSaveSnapshot = $('btn-save-snapshot');
   if (btnSaveSnapshot) btnSaveSnapshot.addEventListener('click', handleSaveSnapshot);
 
@@ -163,26 +281,153 @@ async function init() {
 
   // 初始化缩放交互
   initZoomInteraction();
+  initAnnotation();
 }
 
-// ===== 扫描 iframe =====
-async function handleScan() {
-  if (!currentTabId) { showState('empty'); return; }
+function updatePageHost(url) {
+  currentPageUrl = url || '';
+  if (!url) { $('page-host').textContent = '—'; return; }
+  try {
+    $('page-host').textContent = new URL(url).hostname;
+  } catch {
+    $('page-host').textContent = url.slice(0, 40);
+  }
+}
 
-  showState('loading');
-  $('btn-scan').disabled = true;
+// ===== 侧边栏模式 =====
 
+/** 从弹窗切换到侧边栏：侧边栏在页面获得焦点后不会关闭，编辑 / 快照 / 预览不会丢失 */
+async function openSidePanel() {
   try {
-    // 直接注入函数到页面执行，不依赖 content script 是否已注入
-    const injected = await chrome.scripting.executeScript({
-      target: { tabId: currentTabId },
-      func: collectIframes,
+    await chrome.sidePanel.open({ windowId: currentWindowId });
+    window.close();
+  } catch (err) {
+    showToast('无法打开侧边栏', 'error');
+    console.error('打开侧边栏失败:', err);
+  }
+}
+
+/** 侧边栏始终绑定当前窗口的活动 tab：切换 tab 时保存 / 恢复各 tab 状态，页面导航后自动重新扫描 */
+function initSidePanel() {
+  document.body.classList.add('is-sidepanel');
+
+  chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+    if (windowId !== currentWindowId || tabId === currentTabId) return;
+    const tab = await chrome.tabs.get(tabId);
+    bindTab(tab);
+  });
+
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.status === 'loading') {
+      // 其他 tab 导航后保存的状态已过期
+      if (tabId !== currentTabId) tabStates.delete(tabId);
+      return;
+    }
+    if (tabId !== currentTabId || changeInfo.status !== 'complete') return;
+    updatePageHost(tab.url);
+    closeAllOverlays();
+    handleScan();
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) => tabStates.delete(tabId));
+}
+
+/** 切换到另一个 tab：保存当前 tab 的列表 / 状态，恢复目标 tab 之前的状态，没有则重新扫描 */
+function bindTab(tab) {
+  closeAllOverlays();
+  clearPageIframeHighlight();
+  // 回放中的列表不属于任何 tab，不保存，切回时重新扫描
+  const wasReplaying = leaveReplay();
+
+  if (currentTabId != null && !wasReplaying) {
+    const fragment = document.createDocumentFragment();
+    fragment.append(...$('iframe-list').childNodes);
+    tabStates.set(currentTabId, {
+      iframeList,
+      fragment,
+      statusState,
+      resultCount: $('result-count').textContent,
+      watching   : !!watchPort,
+      sessionId  : currentSessionId,
     });
+  }
+  if (watchPort) toggleWatch();
+  resetMessageInspector();
+
+  currentTabId    = tab.id;
+  currentWindowId = tab.windowId;
+  updatePageHost(tab.url);
+
+  const saved = tabStates.get(tab.id);
+  tabStates.delete(tab.id);
+  currentSessionId = saved?.sessionId ?? null;
+  updateScanDiffButton();
+  if (!saved) {
+    iframeList = [];
+    $('iframe-list').innerHTML = '';
+    handleScan();
+    return;
+  }
+
+  iframeList = saved.iframeList;
+  $('iframe-list').replaceChildren(saved.fragment);
+  $('result-count').textContent = saved.resultCount;
+  showState(saved.statusState.name, saved.statusState.errorMsg);
+  if (saved.watching) toggleWatch();
+}
+
+/** 关闭详情模态框与预览弹窗（切换 tab / 页面导航后它们对应的元素已不属于当前页面） */
+function closeAllOverlays() {
+  closePresetMenu();
+  closeRulesManager();
+  closeSrcHistory();
+  closeScanSessions();
+  closeUrlDiff();
+  closeModal();
+  if (!$('iframe-preview-modal').classList.contains('hidden')) $('ipm-btn-close').click();
+}
+
+// ===== 扫描 iframe =====
+/**
+ * @param {object} [opts]
+ * @param {boolean} [opts.incremental] - 实时监听触发的增量扫描：不显示加载态，按标记复用已有卡片并标注变化
+ * @returns {Promise<boolean>} 是否扫描成功
+ */
+async function handleScan({ incremental = false } = {}) {
+  if (!currentTabId) { showState('empty'); return false; }
+  // 回放中重新扫描即回到当前页面；监听已在进入回放时停止，不会再有增量扫描
+  if (replaySession) {
+    if (incremental) return false;
+    leaveReplay();
+  }
+
+  if (!incremental) showState('loading');
+  $('btn-scan').disabled = true;
 
-    const rawList = injected[0]?.result || [];
-    // 过滤无效元素：src 为空且无 srcdoc 的 iframe 视为无效，不展示
-    iframeList = rawList.filter(({ src, srcdoc }) => src || srcdoc);
-    renderIframeList(iframeList);
+  try {
+    // 先向页面所有 frame（含嵌套 iframe 内部）注入 content.js 工具集，再执行收集函数
+    const target = { tabId: currentTabId, allFrames: true };
+    await chrome.scripting.executeScript({ target, files: ['content.js'] });
+    const injected = await chrome.scripting.executeScript({ target, func: collectIframes });
+
+    const prevList = iframeList;
+    const activeUid = prevList[activeModalIndex]?.uid;
+    iframeList = buildIframeTree(injected);
+    renderIframeList(iframeList, incremental ? prevList : null);
+
+    // 序号可能因增删而变化，按标记找回模态框对应的元素
+    if (activeModalIndex >= 0) {
+      activeModalIndex = iframeList.findIndex((e) => e.uid === activeUid);
+    }
+    // 新出现的 frame 需要重新建立监听连接
+    if (watchPort) connectWatchPort();
+    if (messagePort) connectMessagePort();
+    saveScanSession({ incremental });
+    if (!incremental) enableResponseCapture(currentTabId);
+    refreshResponseBadges();
+    refreshTimings();
+    refreshConsoleLogs();
+    renderResizedBadges();
 
     if (iframeList.length === 0) {
       showState('empty');
@@ -190,46 +435,137 @@ async function handleScan() {
       $('result-count').textContent = iframeList.length;
       showState('result');
     }
+    return true;
   } catch (err) {
     // 将真实错误原因显示给用户，方便排查（如 chrome:// 页面无法注入等）
     showState('error', err.message);
     console.error('扫描失败:', err);
+    return false;
   } finally {
     $('btn-scan').disabled = false;
   }
 }
 
-/** 在页面上下文中执行：收集所有 iframe 信息（不经过消息通道） */
+/**
+ * 在页面上下文中执行（每个 frame 各执行一次）：收集当前 frame 内的 iframe / frame / embed / object，
+ * 包括开放 shadow root 中的元素，具体遍历逻辑见 content.js
+ */
 function collectIframes() {
-  const iframes = document.querySelectorAll('iframe');
-  return Array.from(iframes).map((iframe, index) => {
-    const rect = iframe.getBoundingClientRect();
-    const src  = iframe.src || iframe.getAttribute('src') || '';
-    return {
-      index,
-      src,
-      srcdoc   : iframe.hasAttribute('srcdoc'),
-      id       : iframe.id    || '',
-      name     : iframe.name  || '',
-      title    : iframe.title || '',
-      width    : Math.round(rect.width),
-      height   : Math.round(rect.height),
-      inViewport: (
-        rect.top    >= 0 &&
-        rect.left   >= 0 &&
-        rect.bottom <= window.innerHeight &&
-        rect.right  <= window.innerWidth
-      ),
-    };
+  return window.__ifi?.collect() ?? [];
+}
+
+/**
+ * 将各 frame 的扫描结果组装为 父 → 子 树，并按深度优先顺序展平
+ * - index       全局序号（即 iframeList 下标，卡片 / 模态框均以此引用）
+ * - frameId     iframe 元素所在的 frame（注入操作的目标）
+ * - locator     元素在该 frame 内的定位信息 { kind, uid }，由 content.js 按 data-ifi-id 标记解析
+ * - depth       嵌套深度，顶层页面中的 iframe 为 0
+ * - parentIndex 父 iframe 的全局序号，顶层为 -1
+ * @param {chrome.scripting.InjectionResult[]} injected
+ */
+function buildIframeTree(injected) {
+  const byFrame = new Map();
+  injected.forEach(({ frameId, result }) => byFrame.set(frameId, result || []));
+
+  const list = [];
+  const visited = new Set();
+
+  // 返回该 frame 下是否存在可展示的节点（用于保留「自身无 src 但内部嵌套了 iframe」的容器）
+  const walk = (frameId, depth, parentIndex) => {
+    if (visited.has(frameId)) return false;
+    visited.add(frameId);
+
+    let found = false;
+    (byFrame.get(frameId) || []).forEach((raw) => {
+      const entry = { ...raw, frameId, depth, parentIndex, index: list.length };
+      list.push(entry);
+
+      const hasChildren = raw.childFrameId >= 0 && walk(raw.childFrameId, depth + 1, entry.index);
+      // 过滤无效元素：src 为空且无 srcdoc、内部也没有嵌套 iframe 的视为无效，不展示
+      if (!raw.src && !raw.srcdoc && !hasChildren) {
+        list.length = entry.index;
+        return;
+      }
+      found = true;
+    });
+    return found;
+  };
+
+  walk(0, 0, -1);
+  // 无法定位父节点的 frame（如浏览器不支持 getFrameId）挂到顶层，避免遗漏
+  byFrame.forEach((_, frameId) => walk(frameId, 0, -1));
+
+  return list;
+}
+
+// ===== 实时监听 =====
+
+/** 开启 / 关闭实时监听模式 */
+function toggleWatch() {
+  if (watchPort) {
+    stopWatch();
+  } else {
+    connectWatchPort();
+  }
+  const on = !!watchPort;
+  $('btn-watch').classList.toggle('active', on);
+  $('btn-watch').title = on ? '停止实时监听' : '实时监听页面 iframe 变化';
+  $('watch-indicator').classList.toggle('hidden', !on);
+}
+
+/**
+ * 连接页面所有 frame 中的 content.js（不指定 frameId 即连接全部 frame），
+ * 收到变化通知后防抖触发增量扫描；popup 关闭时端口自动断开，页面侧随即停止观察
+ */
+function connectWatchPort() {
+  if (watchPort) watchPort.disconnect();
+  if (!currentTabId) return;
+
+  const port = chrome.tabs.connect(currentTabId, { name: 'ifi-watch' });
+  port.onMessage.addListener((msg) => {
+    if (msg?.type !== 'IFRAME_MUTATION') return;
+    clearTimeout(_watchTimer);
+    _watchTimer = setTimeout(() => handleScan({ incremental: true }), 300);
+  });
+  port.onDisconnect.addListener(() => {
+    // 页面导航等原因导致断开时，若仍处于监听模式则稍后重连
+    void chrome.runtime.lastError;
+    if (watchPort !== port) return;
+    watchPort = null;
+    setTimeout(async () => {
+      if (watchPort || !$('btn-watch').classList.contains('active')) return;
+      if (await handleScan({ incremental: true })) connectWatchPort();
+    }, 1000);
   });
+  watchPort = port;
+}
+
+function stopWatch() {
+  clearTimeout(_watchTimer);
+  const port = watchPort;
+  watchPort = null;
+  port?.disconnect();
 }
 
 // ===== 渲染卡片列表 =====
-function renderIframeList(list) {
+/**
+ * @param {Array} list
+ * @param {Array|null} [prevList] - 传入上一次扫描结果时做增量更新：按 uid 复用已有卡片（保留正在编辑的参数），
+ *                                 标注新增 / 已移除 / src 变更，尺寸变化直接更新
+ */
+function renderIframeList(list, prevList = null) {
   const container = $('iframe-list');
-  container.innerHTML = '';
+  const prevNodes = new Map();
+  const prevByUid = new Map((prevList || []).map((e) => [e.uid, e]));
+
+  if (prevList) {
+    container.querySelector('.empty-list')?.remove();
+    container.querySelectorAll('.iframe-node').forEach((node) => prevNodes.set(node.dataset.uid, node));
+  } else {
+    container.innerHTML = '';
+  }
 
-  if (list.length === 0) {
+  if (list.length === 0 && prevNodes.size === 0) {
     container.innerHTML = `
       <div class="empty-list">
         <svg viewBox="0 0 48 48" fill="none" stroke="currentColor" stroke-width="1.3">
@@ -242,21 +578,132 @@ function renderIframeList(list) {
     return;
   }
 
+  // 按父子关系嵌套渲染：每个节点 = 卡片 + 子节点容器
+  const childContainers = new Map();
   list.forEach((iframe) => {
-    container.appendChild(createIframeCard(iframe));
+    let node = prevNodes.get(iframe.uid);
+    prevNodes.delete(iframe.uid);
+
+    if (!node) {
+      node = createIframeNode(iframe);
+      if (prevList) markIframeNode(node, 'added');
+    } else {
+      syncIframeNode(node, iframe, prevByUid.get(iframe.uid));
+    }
+
+    const children = node.querySelector(':scope > .iframe-children');
+    childContainers.set(iframe.index, children);
+    const parent = childContainers.get(iframe.parentIndex) || container;
+    parent.appendChild(node);
+  });
+
+  // 本次未出现的旧节点：保留卡片并标记为已移除，下次手动扫描时清除
+  prevNodes.forEach((node) => markIframeNode(node, 'removed'));
+
+  refreshChildToggles(container);
+}
+
+function createIframeNode(iframe) {
+  const node = document.createElement('div');
+  node.className = 'iframe-node';
+  node.dataset.uid = iframe.uid;
+  node.dataset.depth = iframe.depth;
+  node.appendChild(createIframeCard(iframe));
+
+  const children = document.createElement('div');
+  children.className = 'iframe-children';
+  node.appendChild(children);
+  return node;
+}
+
+/** 增量更新已有节点：序号 / 深度 / 尺寸就地更新，src 被页面改写时重建卡片 */
+function syncIframeNode(node, iframe, prev) {
+  const wasRemoved = node.classList.contains('is-removed');
+  let card = node.querySelector(':scope > .iframe-card');
+
+  if (prev && prev.src !== iframe.src) {
+    const fresh = createIframeCard(iframe);
+    card.replaceWith(fresh);
+    card = fresh;
+    markIframeNode(node, 'changed');
+  } else {
+    card.dataset.index = iframe.index;
+    card.querySelectorAll('[data-index]').forEach((el) => { el.dataset.index = iframe.index; });
+    card.querySelector('.card-index-badge').textContent = `${iframe.kind.toUpperCase()} #${iframe.index}`;
+    card.querySelector('.card-frame-badge').textContent = `frame ${iframe.frameId} · L${iframe.depth}`;
+    card.querySelector('.card-size').textContent = formatSize(iframe.width, iframe.height);
+  }
+
+  node.dataset.depth = iframe.depth;
+  if (wasRemoved) markIframeNode(node, 'added');
+}
+
+const CHANGE_BADGES = {
+  added  : '新增',
+  removed: '已移除',
+  changed: 'src 已变更',
+};
+
+/** 在卡片头部标注变化类型（同一节点只保留最新一种） */
+function markIframeNode(node, type) {
+  node.classList.toggle('is-removed', type === 'removed');
+  // 已移除的卡片不再对应 iframeList 中任何元素
+  if (type === 'removed') node.querySelector(':scope > .iframe-card').dataset.index = -1;
+  const header = node.querySelector(':scope > .iframe-card .card-header');
+  let badge = header.querySelector('.card-change-badge');
+  if (!badge) {
+    badge = document.createElement('span');
+    header.querySelector('.card-size').after(badge);
+  }
+  badge.className = `card-change-badge card-change-badge--${type}`;
+  badge.textContent = CHANGE_BADGES[type];
+}
+
+/** 含子节点的卡片显示「子 iframe」折叠按钮，数量随增量更新刷新 */
+function refreshChildToggles(container) {
+  container.querySelectorAll('.iframe-node').forEach((node) => {
+    const children = node.querySelector(':scope > .iframe-children');
+    const actions  = node.querySelector(':scope > .iframe-card .card-actions');
+    const count = children.children.length;
+    let toggle = actions.querySelector('.card-toggle-children');
+
+    if (count === 0) { toggle?.remove(); return; }
+    if (!toggle) {
+      toggle = document.createElement('button');
+      toggle.className = 'btn btn-sm btn-ghost card-toggle-children';
+      toggle.title = '折叠 / 展开嵌套 iframe';
+      toggle.classList.toggle('collapsed', children.classList.contains('hidden'));
+      toggle.addEventListener('click', () => {
+        const collapsed = children.classList.toggle('hidden');
+        toggle.classList.toggle('collapsed', collapsed);
+      });
+      actions.prepend(toggle);
+    }
+    toggle.textContent = `子 iframe ${count}`;
   });
 }
 
+function formatSize(width, height) {
+  return (width > 0 && height > 0) ? `${width} × ${height} px` : '尺寸未知';
+}
+
 function createIframeCard(iframe) {
-  const { index, src, srcdoc, id, name, title, width, height } = iframe;
+  const { index, kind, shadowPath, src, srcdoc, id, name, title, width, height, frameId, depth } = iframe;
   const params = src ? parseUrlParams(src) : null;
   const cardOriginalSrc = src || '';
 
   const card = document.createElement('div');
   card.className = 'iframe-card';
   card.dataset.index = index;
+  card.dataset.originalSrc = cardOriginalSrc;
+  // 编辑中的 base / hash（弹层编辑路径、hash 后同步到这里），查询参数取自参数行
+  card.dataset.base = params ? params.base : '';
+  card.dataset.hash = params ? params.hash : '';
 
-  const sizeText = (width > 0 && height > 0) ? `${width} × ${height} px` : '尺寸未知';
+  const sizeText = formatSize(width, height);
+  const findings = auditIframe(iframe);
+  // 增量更新时序号会变化，事件回调中按卡片当前序号读取
+  const idx = () => Number(card.dataset.index);
 
   let srcBlockHtml = '';
   if (srcdoc) {
@@ -272,6 +719,11 @@ function createIframeCard(iframe) {
     srcBlockHtml = `<code class="card-src-url">${escHtml(src)}</code>`;
   }
 
+  // 位于 shadow root 内的元素，展示宿主路径
+  const shadowHtml = shadowPath.length > 0
+    ? `<div class="card-shadow-path" title="shadow 宿主路径">shadow: ${shadowPath.map(escHtml).join(' › ')}</div>`
+    : '';
+
   const copySrcBtn = src && !srcdoc
     ? `<button class="src-copy-btn" data-src="${escHtml(src)}" title="复制 src">
         <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.8">
@@ -283,8 +735,14 @@ function createIframeCard(iframe) {
 
   card.innerHTML = `
     <div class="card-header">
-      <span class="card-index-badge">IFRAME #${index}</span>
+      <span class="card-index-badge">${kind.toUpperCase()} #${index}</span>
+      <span class="card-frame-badge" title="所在 frame ID · 嵌套深度">frame ${frameId} · L${depth}</span>
       <span class="card-size">${escHtml(sizeText)}</span>
+      ${findings.length ? `
+      <button class="card-audit-badge card-audit-badge--${findings[0].level}"
+              title="${escHtml(findings.map((f) => `[${AUDIT_LEVELS[f.level]}] ${f.title}`).join('\n'))}">
+        ${AUDIT_LEVELS[findings[0].level]} ${findings.length}
+      </button>` : ''}
       <div class="card-actions">
         <button class="btn btn-sm btn-outline btn-detail" data-index="${index}">
           <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.8">
@@ -301,9 +759,16 @@ function createIframeCard(iframe) {
       <div class="card-section">
         <div class="card-section-head">
           <span class="card-section-title">SRC</span>
+          ${src && !srcdoc ? `
+          <button class="btn btn-sm btn-ghost card-edit-url" title="编辑协议、主机、端口、路径与 hash">
+            <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.8" style="width:10px;height:10px;flex-shrink:0">
+              <path d="M2 12h2.5L12 4.5 9.5 2 2 9.5z" stroke-linejoin="round"/>
+            </svg>
+            编辑
+          </button>` : ''}
           ${copySrcBtn}
         </div>
-        <div class="card-section-content">${srcBlockHtml}</div>
+        <div class="card-section-content">${srcBlockHtml}${shadowHtml}<div class="card-url-parts hidden"></div></div>
       </div>
 
       <!-- ② 参数可编辑区块 -->
@@ -312,6 +777,12 @@ function createIframeCard(iframe) {
         <div class="card-section-head">
           <span class="card-section-title">查询参数</span>
           <span class="card-param-count">${params ? params.entries.length : 0}</span>
+          <button class="btn btn-sm btn-ghost card-preset-btn" title="参数预设">
+            <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M3 1.5h8v11L7 9.5l-4 3z" stroke-linejoin="round"/>
+            </svg>
+            预设
+          </button>
           <button class="btn btn-sm btn-ghost card-add-param" title="添加参数">
             <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2" style="width:10px;height:10px;flex-shrink:0">
               <path d="M7 2v10M2 7h10" stroke-linecap="round"/>
@@ -342,6 +813,13 @@ function createIframeCard(iframe) {
           </svg>
           预览地址
         </button>
+        <button class="btn btn-sm btn-ghost btn-diff-url" title="与其他 iframe 地址逐项对比">
+          <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.8">
+            <rect x="1" y="2" width="4.5" height="10" rx="1"/>
+            <rect x="8.5" y="2" width="4.5" height="10" rx="1"/>
+          </svg>
+          对比
+        </button>
       ` : ''}
     </div>
   `;
@@ -355,7 +833,11 @@ function createIframeCard(iframe) {
   }
 
   // 事件绑定
-  card.querySelector('.btn-detail')?.addEventListener('click', () => openModalAndCapture(index));
+  card.querySelector('.btn-detail')?.addEventListener('click', () => openModalAndCapture(idx()));
+  card.querySelector('.card-audit-badge')?.addEventListener('click', () => {
+    openModal(idx());
+    switchTab('info');
+  });
   card.querySelector('.src-copy-btn')?.addEventListener('click', (e) => {
     copyText(e.currentTarget.dataset.src);
   });
@@ -364,23 +846,40 @@ function createIframeCard(iframe) {
     card.querySelector('.card-no-params')?.classList.add('hidden');
     addCardParamRow(container, '', '', card, cardOriginalSrc, true);
   });
+  card.querySelector('.card-edit-url')?.addEventListener('click', (e) => {
+    const holder = card.querySelector('.card-url-parts');
+    const opening = holder.classList.contains('hidden');
+    holder.classList.toggle('hidden', !opening);
+    e.currentTarget.classList.toggle('active', opening);
+    if (opening) renderCardUrlParts(card);
+  });
+  card.querySelector('.card-preset-btn')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openPresetMenu(e.currentTarget, cardPresetTarget(card));
+  });
   card.querySelector('.btn-reload-iframe')?.addEventListener('click', async () => {
     const confirmed = await showConfirm(
-      `即将用当前参数重新加载页面中的 <strong>IFRAME #${index}</strong>，` +
+      `即将用当前参数重新加载页面中的 <strong>${kind.toUpperCase()} #${idx()}</strong>，` +
       `该操作会直接替换页面对应元素的 <code>src</code> 并触发重新渲染，` +
-      `<strong>无法撤销</strong>，确认继续？`,
+      `可在「改写历史」中<strong>还原</strong>，确认继续？`,
       { title: '确认重载', confirmText: '确认重载', confirmClass: 'btn-warning', icon: 'reload' }
     );
     if (!confirmed) return;
-    reloadCardIframe(card, index, cardOriginalSrc);
+    reloadCardIframe(card, idx(), cardOriginalSrc);
   });
   card.querySelector('.btn-open-src')?.addEventListener('click', () => {
     const url = getCurrentCardUrl(card, cardOriginalSrc);
-    openIframePreview(url, width, height);
+    const entry = iframeList[idx()];
+    const { width: w, height: h } = entry || { width, height };
+    openIframePreview(url, w, h, entry || null);
+  });
+
+  card.querySelector('.btn-diff-url')?.addEventListener('click', () => {
+    openUrlDiff(getCurrentCardUrl(card, cardOriginalSrc));
   });
 
   // 悬停高亮页面 iframe
-  card.addEventListener('mouseenter', () => highlightPageIframe(index));
+  card.addEventListener('mouseenter', () => highlightPageIframe(idx()));
   card.addEventListener('mouseleave', () => clearPageIframeHighlight());
 
   return card;
@@ -410,6 +909,7 @@ function addCardParamRow(container, key, value, card, originalSrc, shouldFocus =
   row.querySelectorAll('input').forEach((inp) => {
     inp.addEventListener('input', () => refreshCardUrl(card, originalSrc));
   });
+  attachValueDecoder(row);
 
   row.querySelector('.icon-btn.danger').addEventListener('click', async function () {
     const keyVal = row.querySelector('.param-key-input')?.value || '该参数';
@@ -431,26 +931,30 @@ function addCardParamRow(container, key, value, card, originalSrc, shouldFocus =
   }
 }
 
-/** 读取卡片所有参数行，重建 URL，同步更新 src 显示，返回新 URL */
-function refreshCardUrl(card, originalSrc) {
-  const rows = card.querySelectorAll('.card-param-rows .param-row');
-  const parsed = parseUrlParams(originalSrc);
+/** 由卡片的 base / hash 与参数行拼出当前 URL（无副作用） */
+function buildCardUrl(card) {
   const searchParams = new URLSearchParams();
+  readCardParams(card).forEach(([k, v]) => searchParams.append(k, v));
 
-  rows.forEach((row) => {
-    const k = row.querySelector('.param-key-input').value.trim();
-    const v = row.querySelector('.param-val-input').value;
-    if (k) searchParams.append(k, v);
-  });
-
-  const hash = parsed.hash ? `#${parsed.hash}` : '';
+  const hash = card.dataset.hash ? `#${card.dataset.hash}` : '';
   const query = searchParams.toString();
-  const newUrl = parsed.base + (query ? `?${query}` : '') + hash;
+  return card.dataset.base + (query ? `?${query}` : '') + hash;
+}
+
+/** 读取卡片所有参数行，重建 URL，同步更新 src 显示（及打开中的详情弹层），返回新 URL */
+function refreshCardUrl(card, originalSrc) {
+  if (card.dataset.base == null) card.dataset.base = parseUrlParams(originalSrc).base;
+  const newUrl = buildCardUrl(card);
 
   const srcEl = card.querySelector('.card-src-url');
   if (srcEl) srcEl.textContent = newUrl;
 
   updateCardParamCount(card);
+
+  // 卡片编辑同步到该 iframe 的详情弹层
+  if (!peSyncLock && activeModalIndex >= 0 && Number(card.dataset.index) === activeModalIndex) {
+    fillParamsEditor(newUrl);
+  }
   return newUrl;
 }
 
@@ -461,6 +965,49 @@ function updateCardParamCount(card) {
   if (countEl) countEl.textContent = count;
 }
 
+/** 读取卡片当前参数行（忽略参数名为空的行） */
+function readCardParams(card) {
+  return Array.from(card.querySelectorAll('.card-param-rows .param-row'))
+    .map((row) => [row.querySelector('.param-key-input').value.trim(), row.querySelector('.param-val-input').value])
+    .filter(([k]) => k);
+}
+
+/** 用给定参数整体替换卡片参数行，返回新 URL */
+function setCardParams(card, entries, originalSrc) {
+  const container = card.querySelector('.card-param-rows');
+  container.innerHTML = '';
+  entries.forEach(([k, v]) => addCardParamRow(container, k, v, card, originalSrc, false));
+  card.querySelector('.card-no-params')?.classList.toggle('hidden', entries.length > 0);
+  return refreshCardUrl(card, originalSrc);
+}
+
+/** 用完整 URL 覆盖卡片的 base / hash / 参数行（弹层编辑同步到卡片） */
+function setCardUrl(card, url) {
+  const parsed = parseUrlParams(url);
+  card.dataset.base = parsed.base;
+  card.dataset.hash = parsed.hash;
+  const holder = card.querySelector('.card-url-parts');
+  if (holder && !holder.classList.contains('hidden')) renderCardUrlParts(card);
+  return setCardParams(card, parsed.entries, card.dataset.originalSrc);
+}
+
+/** 渲染卡片的地址组成部分编辑器；校验失败时禁用重载 / 预览，避免把非法地址写入页面 */
+function renderCardUrlParts(card) {
+  const setValid = (valid) => {
+    card.querySelectorAll('.btn-reload-iframe, .btn-open-src').forEach((btn) => { btn.disabled = !valid; });
+  };
+  setValid(true);
+  card.querySelector('.card-url-parts').replaceChildren(createUrlPartsEditor(
+    { base: card.dataset.base, hash: card.dataset.hash },
+    ({ base, hash }) => {
+      card.dataset.base = base;
+      card.dataset.hash = hash;
+      refreshCardUrl(card, card.dataset.originalSrc);
+    },
+    setValid,
+  ));
+}
+
 /** 获取当前卡片 URL（含已编辑内容） */
 function getCurrentCardUrl(card, originalSrc) {
   return refreshCardUrl(card, originalSrc);
@@ -468,33 +1015,40 @@ function getCurrentCardUrl(card, originalSrc) {
 
 /** 将当前编辑后的 URL 应用到页面 iframe 并重新加载 */
 async function reloadCardIframe(card, index, originalSrc) {
+  if (replaySession) return;
   const newUrl = refreshCardUrl(card, originalSrc);
   const btn = card.querySelector('.btn-reload-iframe');
   if (btn) btn.disabled = true;
 
-  if (iframeList[index]) {
-    iframeList[index] = { ...iframeList[index], src: newUrl };
-  }
-
-  if (currentTabId) {
+  if (currentTabId && iframeList[index]) {
     try {
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTabId },
-        func: (idx, url) => {
-          const iframes = document.querySelectorAll('iframe');
-          if (iframes[idx]) iframes[idx].src = url;
-        },
-        args: [index, newUrl],
-      });
+      await rewriteIframeSrc(index, newUrl);
       showToast('iframe 已重新加载', 'success');
-    } catch {
-      showToast('重新加载失败', 'error');
+    } catch (err) {
+      showToast(err.message === ELEMENT_GONE ? ELEMENT_GONE : '重新加载失败', 'error');
     }
   }
 
   if (btn) btn.disabled = false;
 }
 
+/** 替换页面中元素的地址（iframe / frame / embed 为 src，object 为 data） */
+function setElementSrc(entry, url) {
+  return execOnElement(entry, (loc, next) => {
+    const el = window.__ifi.resolve(loc);
+    if (!el) return window.__ifi.GONE;
+    window.__ifi.setSrc(el, next);
+  }, [url]);
+}
+
+/** 改写 iframeList[index] 的地址并记入当前 tab 的改写历史 */
+async function rewriteIframeSrc(index, newUrl) {
+  const entry = iframeList[index];
+  await setElementSrc(entry, newUrl);
+  iframeList[index] = { ...entry, src: newUrl };
+  await recordSrcChange(entry, entry.src, newUrl);
+}
+
 // ===== 页面 iframe 悬停高亮 =====
 
 /**
@@ -505,80 +1059,78 @@ async function reloadCardIframe(card, index, originalSrc) {
 function highlightPageIframe(index) {
   clearTimeout(_highlightTimer);
   _highlightTimer = setTimeout(async () => {
-    if (!currentTabId) return;
+    const entry = iframeList[index];
+    if (!currentTabId || !entry || replaySession) return;
     try {
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTabId },
-        func: (idx) => {
-          // 注入一次样式
-          if (!document.getElementById('__ifi_style__')) {
-            const s = document.createElement('style');
-            s.id = '__ifi_style__';
-            s.textContent = `
-              #__ifi_hl__ {
-                position: fixed;
-                pointer-events: none;
-                z-index: 2147483646;
-                border: 2px solid #1d6ae5;
-                border-radius: 4px;
-                box-shadow: 0 0 0 4px rgba(29,106,229,0.18);
-                animation: __ifi_pulse__ 1.8s ease-in-out infinite;
-              }
-              @keyframes __ifi_pulse__ {
-                0%,100% { box-shadow: 0 0 0 4px rgba(29,106,229,0.18); }
-                50%      { box-shadow: 0 0 0 8px rgba(29,106,229,0.08); }
-              }
-              #__ifi_hl_label__ {
-                position: absolute;
-                top: -24px; left: -2px;
-                background: #1d6ae5;
-                color: #fff;
-                font: 600 11px/20px "Consolas","SF Mono",monospace;
-                padding: 0 8px;
-                border-radius: 4px 4px 4px 0;
-                white-space: nowrap;
-                letter-spacing: 0.3px;
-              }
-            `;
-            document.head.appendChild(s);
-          }
-
-          const iframe = document.querySelectorAll('iframe')[idx];
-          if (!iframe) return;
-
-          function placeBox() {
-            const r = iframe.getBoundingClientRect();
-            let box = document.getElementById('__ifi_hl__');
-            if (!box) {
-              box = document.createElement('div');
-              box.id = '__ifi_hl__';
-              const lbl = document.createElement('div');
-              lbl.id = '__ifi_hl_label__';
-              box.appendChild(lbl);
-              document.body.appendChild(box);
+      // 高亮层注入到 iframe 元素所在的 frame 内（嵌套 iframe 在其父文档中定位）
+      await execOnElement(entry, (loc, label) => {
+        // 注入一次样式
+        if (!document.getElementById('__ifi_style__')) {
+          const s = document.createElement('style');
+          s.id = '__ifi_style__';
+          s.textContent = `
+            #__ifi_hl__ {
+              position: fixed;
+              pointer-events: none;
+              z-index: 2147483646;
+              border: 2px solid #1d6ae5;
+              border-radius: 4px;
+              box-shadow: 0 0 0 4px rgba(29,106,229,0.18);
+              animation: __ifi_pulse__ 1.8s ease-in-out infinite;
             }
-            box.querySelector('#__ifi_hl_label__').textContent = `IFRAME #${idx}`;
-            box.style.left   = (r.left - 3) + 'px';
-            box.style.top    = (r.top  - 3) + 'px';
-            box.style.width  = (r.width  + 6) + 'px';
-            box.style.height = (r.height + 6) + 'px';
-          }
+            @keyframes __ifi_pulse__ {
+              0%,100% { box-shadow: 0 0 0 4px rgba(29,106,229,0.18); }
+              50%      { box-shadow: 0 0 0 8px rgba(29,106,229,0.08); }
+            }
+            #__ifi_hl_label__ {
+              position: absolute;
+              top: -24px; left: -2px;
+              background: #1d6ae5;
+              color: #fff;
+              font: 600 11px/20px "Consolas","SF Mono",monospace;
+              padding: 0 8px;
+              border-radius: 4px 4px 4px 0;
+              white-space: nowrap;
+              letter-spacing: 0.3px;
+            }
+          `;
+          document.head.appendChild(s);
+        }
+
+        const iframe = window.__ifi.resolve(loc);
+        if (!iframe) return window.__ifi.GONE;
 
+        function placeBox() {
           const r = iframe.getBoundingClientRect();
-          const inView = r.top > -10 && r.bottom < window.innerHeight + 10
-                      && r.left > -10 && r.right  < window.innerWidth  + 10;
-
-          if (inView) {
-            placeBox();
-          } else {
-            // 先滚动到视口中央，滚动完成后再定位高亮框
-            iframe.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
-            setTimeout(placeBox, 480);
+          let box = document.getElementById('__ifi_hl__');
+          if (!box) {
+            box = document.createElement('div');
+            box.id = '__ifi_hl__';
+            const lbl = document.createElement('div');
+            lbl.id = '__ifi_hl_label__';
+            box.appendChild(lbl);
+            (document.body || document.documentElement).appendChild(box);
           }
-        },
-        args: [index],
-      });
-    } catch { /* 页面可能无法注入，忽略 */ }
+          box.querySelector('#__ifi_hl_label__').textContent = label;
+          box.style.left   = (r.left - 3) + 'px';
+          box.style.top    = (r.top  - 3) + 'px';
+          box.style.width  = (r.width  + 6) + 'px';
+          box.style.height = (r.height + 6) + 'px';
+        }
+
+        const r = iframe.getBoundingClientRect();
+        const inView = r.top > -10 && r.bottom < window.innerHeight + 10
+                    && r.left > -10 && r.right  < window.innerWidth  + 10;
+
+        if (inView) {
+          placeBox();
+        } else {
+          // 先滚动到视口中央，滚动完成后再定位高亮框
+          iframe.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+          setTimeout(placeBox, 480);
+        }
+      }, [`${entry.kind.toUpperCase()} #${index}`]);
+    } catch { /* 页面可能无法注入 / 元素已移除，忽略 */ }
   }, 80);
 }
 
@@ -588,7 +1140,7 @@ function clearPageIframeHighlight() {
   if (!currentTabId) return;
   // 使用 sendMessage 发给 background 同步注入，确保 popup 关闭前能及时执行
   chrome.scripting.executeScript({
-    target: { tabId: currentTabId },
+    target: { tabId: currentTabId, allFrames: true },
     func: () => {
       document.getElementById('__ifi_hl__')?.remove();
       document.getElementById('__ifi_style__')?.remove();
@@ -605,8 +1157,9 @@ function openModal(index) {
   lastSnapshotUrl = '';
 
   // 标题
+  $('modal-kind').textContent = iframe.kind.toUpperCase();
   $('modal-index').textContent = index;
-  $('modal-title').textContent = iframe.title || iframe.id || iframe.name || `iframe #${index}`;
+  $('modal-title').textContent = iframe.title || iframe.id || iframe.name || `${iframe.kind} #${index}`;
 
   // 打开链接按钮
   if (iframe.src && !iframe.srcdoc) {
@@ -625,6 +1178,21 @@ function openModal(index) {
   // 填充属性面板
   fillInfoPanel(iframe);
 
+  // 填充响应面板
+  fillResponsePanel(iframe);
+
+  // 填充消息面板
+  fillMessagesPanel(iframe);
+
+  // 填充性能面板
+  fillTimingPanel(iframe);
+
+  // 填充控制台面板
+  fillConsolePanel(iframe);
+
+  // 文档面板切换到时再读取
+  resetDocumentPanel();
+
   // 默认显示快照 tab
   switchTab('snapshot');
 
@@ -633,6 +1201,13 @@ function openModal(index) {
 
 async function openModalAndCapture(index) {
   openModal(index);
+  // 回放扫描记录时展示当时保存的快照，不操作页面
+  if (replaySession) {
+    const saved = replaySession.snapshots[iframeList[index]?.uid];
+    if (saved) showSnapshotImage(saved);
+    else $('snapshot-size-hint').textContent = '该扫描记录中没有此 iframe 的快照';
+    return;
+  }
   // 稍等模态框动画后自动触发截图
   setTimeout(() => handleCapture(), 150);
 }
@@ -650,67 +1225,35 @@ function switchTab(tabName) {
   document.querySelectorAll('.tab-panel').forEach((panel) => {
     panel.classList.toggle('active', panel.id === `panel-${tabName}`);
   });
+  if (tabName === 'document') loadDocumentPanel();
 }
 
 // ===== 截图 =====
 async function handleCapture() {
-  if (activeModalIndex < 0 || !currentTabId) return;
+  if (activeModalIndex < 0 || !currentTabId || replaySession) return;
 
   $('btn-capture').disabled = true;
 
   // 显示加载态，隐藏旧快照和缩放控件
+  closeCompare();
+  $('snap-loading-text').textContent = '正在截图...';
   $('snap-idle').classList.add('hidden');
   $('snap-loading').classList.remove('hidden');
   $('zoom-viewport').classList.add('hidden');
+  $('annot-toolbar').classList.add('hidden');
   $('zoom-controls').classList.add('hidden');
   $('snapshot-size-hint').textContent = '滚轮缩放 · 拖拽平移 · 双击还原';
 
   try {
-    // 1. 注入函数：将目标 iframe 滚动到视口并返回精确位置
-    const captureIndex = activeModalIndex;
-    const injected = await chrome.scripting.executeScript({
-      target: { tabId: currentTabId },
-      func: scrollAndGetRect,
-      args: [captureIndex],
-    });
-
-    const rect = injected[0]?.result;
-    if (!rect)                              throw new Error('无法定位 iframe 元素');
-    if (rect.width <= 0 || rect.height <= 0) throw new Error('iframe 尺寸为零，无法截图');
-
-    // 2. 让 background 截取整个 tab
-    const result = await chrome.runtime.sendMessage({
-      type: 'CAPTURE_TAB',
-      tabId: currentTabId,
-      windowId: currentWindowId,
-    });
-
-    if (result?.error)  throw new Error(result.error);
-    if (!result?.dataUrl) throw new Error('截图失败：未返回图像数据');
-
-    // 3. Canvas 裁剪 iframe 区域
-    const croppedUrl = await cropImage(result.dataUrl, rect);
-
-    // 4. 渲染到缩放视口
-    lastSnapshotUrl = croppedUrl;
-    const img = $('snapshot-img');
-
-    await new Promise((resolve) => {
-      img.onload = resolve;
-      img.src = croppedUrl;
+    const croppedUrl = await captureSnapshot(activeModalIndex, {
+      full: captureFullMode,
+      onProgress: (done, total) => {
+        $('snap-loading-text').textContent = `正在拼接截图 ${done} / ${total}...`;
+      },
     });
 
-    // 显示视口，截图按钮缩小贴左，展开缩放控件
-    $('zoom-viewport').classList.remove('hidden');
-    $('btn-capture').classList.remove('btn-full');
-    $('btn-capture').classList.add('btn-sm');
-    $('zoom-controls').classList.remove('hidden');
-    $('snapshot-size-hint').textContent =
-      `原始尺寸 ${img.naturalWidth} × ${img.naturalHeight} px · 滚轮缩放 · 双击还原`;
-
-    // 计算适应比例并居中展示
-    zoomFit();
-
+    recordSnapshot(iframeList[activeModalIndex], croppedUrl);
+    await showSnapshotImage(croppedUrl);
   } catch (err) {
     // 失败时重置为全宽截图按钮初始态
     $('snap-idle').classList.remove('hidden');
@@ -725,6 +1268,143 @@ async function handleCapture() {
   }
 }
 
+/** 在缩放视口中展示快照：截图按钮缩小贴左，展开缩放 / 标注控件 */
+async function showSnapshotImage(dataUrl) {
+  lastSnapshotUrl = dataUrl;
+  const img = $('snapshot-img');
+
+  await new Promise((resolve) => {
+    img.onload = resolve;
+    img.src = dataUrl;
+  });
+
+  resetAnnotations();
+  $('snap-idle').classList.add('hidden');
+  $('zoom-viewport').classList.remove('hidden');
+  $('annot-toolbar').classList.remove('hidden');
+  $('btn-capture').classList.remove('btn-full');
+  $('btn-capture').classList.add('btn-sm');
+  $('zoom-controls').classList.remove('hidden');
+  $('snapshot-size-hint').textContent =
+    `原始尺寸 ${img.naturalWidth} × ${img.naturalHeight} px · 滚轮缩放 · 双击还原`;
+
+  // 计算适应比例并居中展示
+  zoomFit();
+}
+
+/**
+ * 截取指定 iframe 的快照，返回裁剪后的 PNG data URL
+ * @param {number} index
+ * @param {object} [opts]
+ * @param {boolean} [opts.full]       - 完整截图：iframe 超出可见区域时分块滚动截取并拼接整个元素
+ * @param {(done: number, total: number) => void} [opts.onProgress] - 完整截图的分块进度
+ */
+async function captureSnapshot(index, { full = false, onProgress } = {}) {
+  // 1. 注入函数：将目标 iframe（及其各级父 iframe）滚动到视口并返回精确位置
+  const rect = await locateIframeInViewport(index);
+  if (!rect)                              throw new Error('无法定位 iframe 元素');
+  if (rect.width <= 0 || rect.height <= 0) throw new Error('iframe 尺寸为零，无法截图');
+
+  if (full && (rect.width < rect.fullWidth || rect.height < rect.fullHeight)) {
+    return captureStitched(index, rect, onProgress);
+  }
+
+  // 2. 让 background 截取整个 tab，3. Canvas 裁剪 iframe 区域
+  const dataUrl = await captureVisibleTab();
+  return cropImage(dataUrl, rect);
+}
+
+/** 让 background 截取当前 tab 可见区域（background 负责遵守 captureVisibleTab 的频率限制） */
+async function captureVisibleTab() {
+  const result = await chrome.runtime.sendMessage({
+    type: 'CAPTURE_TAB',
+    tabId: currentTabId,
+    windowId: currentWindowId,
+  });
+
+  if (result?.error)  throw new Error(result.error);
+  if (!result?.dataUrl) throw new Error('截图失败：未返回图像数据');
+  return result.dataUrl;
+}
+
+/** Canvas 单边像素上限（超出后浏览器无法导出图像） */
+const MAX_CANVAS_SIDE = 16384;
+
+/**
+ * 完整截图：以首次定位得到的可见区域为块大小，逐块滚动 iframe 所在 frame 的窗口，
+ * 每块截取后按其在元素内的实际偏移绘制到画布上（滚动到页面边界被钳制时偏移依然准确）；
+ * 完整尺寸超出 Canvas 单边上限时整体等比缩小，保证内容完整
+ * @param {{width,height,fullWidth,fullHeight,devicePixelRatio}} firstRect locateIframeInViewport 的结果
+ */
+async function captureStitched(index, firstRect, onProgress) {
+  const entry = iframeList[index];
+  const dpr   = firstRect.devicePixelRatio || 1;
+  const cols  = Math.ceil(firstRect.fullWidth  / firstRect.width);
+  const rows  = Math.ceil(firstRect.fullHeight / firstRect.height);
+  const total = cols * rows;
+
+  const scale = Math.min(1, MAX_CANVAS_SIDE / (firstRect.fullWidth * dpr), MAX_CANVAS_SIDE / (firstRect.fullHeight * dpr));
+  const canvas = document.createElement('canvas');
+  canvas.width  = Math.min(Math.round(firstRect.fullWidth  * dpr * scale), MAX_CANVAS_SIDE);
+  canvas.height = Math.min(Math.round(firstRect.fullHeight * dpr * scale), MAX_CANVAS_SIDE);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+
+  const savedScroll = await execOnElement(entry, () => ({ x: window.scrollX, y: window.scrollY }));
+  try {
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        await execOnElement(entry, scrollElementTo, [c * firstRect.width, r * firstRect.height]);
+        const rect = await locateIframeInViewport(index, { scroll: false });
+        if (!rect || rect.width <= 0 || rect.height <= 0) continue;
+
+        const shot = await loadImage(await captureVisibleTab());
+        const sw = Math.round(rect.width  * dpr);
+        const sh = Math.round(rect.height * dpr);
+        ctx.drawImage(
+          shot,
+          Math.round(rect.x * dpr), Math.round(rect.y * dpr), sw, sh,
+          Math.round((rect.x - rect.boxLeft) * dpr * scale), Math.round((rect.y - rect.boxTop) * dpr * scale),
+          Math.round(sw * scale), Math.round(sh * scale),
+        );
+        onProgress?.(r * cols + c + 1, total);
+      }
+    }
+  } finally {
+    // 还原 iframe 所在 frame 的滚动位置
+    await execInFrame(entry.frameId, (x, y) => window.scrollTo({ left: x, top: y, behavior: 'instant' }),
+      [savedScroll.x, savedScroll.y]).catch(() => {});
+  }
+
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * 在页面上下文中执行：滚动元素所在 frame 的窗口，使元素内 (offsetX, offsetY) 处对齐视口左上角
+ * 页面滚动范围不足时由浏览器钳制，实际可见区域由调用方重新定位得到
+ */
+function scrollElementTo(locator, offsetX, offsetY) {
+  const el = window.__ifi.resolve(locator);
+  if (!el) return window.__ifi.GONE;
+  const r = el.getBoundingClientRect();
+  window.scrollTo({
+    left: window.scrollX + r.left + offsetX,
+    top : window.scrollY + r.top  + offsetY,
+    behavior: 'instant',
+  });
+  // 等待浏览器完成滚动 + 重新布局
+  return new Promise((resolve) => requestAnimationFrame(() => setTimeout(() => resolve(true), 120)));
+}
+
+function loadImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload  = () => resolve(img);
+    img.onerror = () => reject(new Error('截图图像加载失败'));
+    img.src = dataUrl;
+  });
+}
+
 /**
  * 用 Canvas 将截图裁剪到 iframe 区域
  * @param {string} dataUrl 全屏截图
@@ -763,191 +1443,3647 @@ function cropImage(dataUrl, rect) {
   });
 }
 
-// ===== 保存截图 =====
-function handleSaveSnapshot() {
-  if (!lastSnapshotUrl) return;
-  const iframe = iframeList[activeModalIndex];
-  const domain = iframe?.src ? getDomain(iframe.src) : 'iframe';
-  const filename = `iframe_${activeModalIndex}_${domain}_${Date.now()}.png`;
+// ===== 快照历史与对比 =====
 
-  const a = document.createElement('a');
-  a.href = lastSnapshotUrl;
-  a.download = filename;
-  a.click();
+const SNAPSHOT_HISTORY_LIMIT = 10;  // 每个 iframe 保留的历史快照数
+const DIFF_THRESHOLD = 24;          // 任一通道差值超过该值才计为不同，容忍抗锯齿和色彩抖动
+
+/** 对比视图状态；token 用于丢弃过期的异步渲染结果 */
+const compare = { mode: 'side', token: 0, imgA: null, imgB: null, diff: null };
+
+/** 记录一次截图：更新最新截图缓存并追加到该 iframe 的历史 */
+function recordSnapshot(iframe, dataUrl) {
+  if (!iframe) return;
+  snapshotCache.set(iframe.uid, dataUrl);
+  const history = snapshotHistory.get(iframe.uid) || [];
+  history.push({ dataUrl, time: Date.now(), src: iframe.src });
+  if (history.length > SNAPSHOT_HISTORY_LIMIT) history.shift();
+  snapshotHistory.set(iframe.uid, history);
+  saveSessionSnapshot(iframe.uid, dataUrl);
+  if (iframeList[activeModalIndex]?.uid === iframe.uid) updateCompareButton();
 }
 
-function handleOpenUrl(e) {
-  const url = e.currentTarget.dataset.url;
-  if (url) chrome.tabs.create({ url });
+function historyOf(index) {
+  return snapshotHistory.get(iframeList[index]?.uid) || [];
 }
 
-// ===== 参数编辑器状态 =====
-let peOriginalSrc = '';   // 原始 src，用于对比是否修改
+function updateCompareButton() {
+  const count = historyOf(activeModalIndex).length;
+  $('btn-compare').disabled = count < 2;
+  $('snapshot-history-count').textContent = count;
+}
 
-// ===== 填充 URL 参数面板（只读展示版）=====
-function fillParamsPanel(iframe) {
-  peOriginalSrc = iframe.src || '';
+function snapshotLabel(entry, i) {
+  return `#${i + 1} · ${new Date(entry.time).toLocaleTimeString()}`;
+}
 
-  if (!iframe.src || iframe.srcdoc) {
+async function openCompare() {
+  const history = historyOf(activeModalIndex);
+  if (history.length < 2) return;
+
+  const options = history
+    .map((h, i) => `<option value="${i}" title="${escHtml(h.src)}">${snapshotLabel(h, i)}</option>`)
+    .join('');
+  $('compare-a').innerHTML = options;
+  $('compare-b').innerHTML = options;
+  // 默认对比最近两次截图
+  $('compare-a').value = history.length - 2;
+  $('compare-b').value = history.length - 1;
+
+  $('compare-view').classList.remove('hidden');
+  $('btn-compare').classList.add('active');
+  await renderCompare();
+}
+
+function closeCompare() {
+  compare.token++;
+  compare.imgA = compare.imgB = compare.diff = null;
+  $('compare-view').classList.add('hidden');
+  $('btn-compare').classList.remove('active');
+}
+
+function setCompareMode(mode) {
+  compare.mode = mode;
+  document.querySelectorAll('.compare-mode').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.mode === mode);
+  });
+  drawCompareMode();
+}
+
+/** 载入所选两张快照并计算差异 */
+async function renderCompare() {
+  const history = historyOf(activeModalIndex);
+  const ia = Number($('compare-a').value);
+  const ib = Number($('compare-b').value);
+  const a = history[ia];
+  const b = history[ib];
+  if (!a || !b) return;
+
+  const token = ++compare.token;
+  const mismatchEl = $('compare-mismatch');
+  mismatchEl.className = 'compare-mismatch';
+  mismatchEl.textContent = '计算中...';
+
+  $('compare-img-a').src = a.dataUrl;
+  $('compare-img-b').src = b.dataUrl;
+
+  try {
+    const [imgA, imgB, result] = await Promise.all([
+      loadImage(a.dataUrl),
+      loadImage(b.dataUrl),
+      diffSnapshots(a.dataUrl, b.dataUrl),
+    ]);
+    if (token !== compare.token) return;
+
+    compare.imgA = imgA;
+    compare.imgB = imgB;
+    compare.diff = result.canvas;
+
+    $('compare-cap-a').textContent = `${snapshotLabel(a, ia)} · ${formatSize(imgA.naturalWidth, imgA.naturalHeight)}`;
+    $('compare-cap-b').textContent = `${snapshotLabel(b, ib)} · ${formatSize(imgB.naturalWidth, imgB.naturalHeight)}`;
+    $('compare-cap-a').title = a.src;
+    $('compare-cap-b').title = b.src;
+
+    const pct = result.ratio * 100;
+    mismatchEl.textContent = `差异 ${pct === 0 ? '0' : pct < 0.01 ? '<0.01' : pct.toFixed(2)}%`;
+    mismatchEl.classList.add(pct === 0 ? 'is-same' : 'is-diff');
+    drawCompareMode();
+  } catch (err) {
+    if (token !== compare.token) return;
+    mismatchEl.textContent = `对比失败：${err.message}`;
+  }
+}
+
+/** 按当前模式绘制：并排直接显示两张图；叠加 / 差异绘制到画布 */
+function drawCompareMode() {
+  const side = compare.mode === 'side';
+  $('compare-side').classList.toggle('hidden', !side);
+  $('compare-canvas').classList.toggle('hidden', side);
+  $('compare-opacity').classList.toggle('hidden', compare.mode !== 'onion');
+  if (side || !compare.imgA || !compare.imgB) return;
+
+  const canvas = $('compare-canvas');
+  const ctx = canvas.getContext('2d');
+
+  if (compare.mode === 'onion') {
+    const { imgA, imgB } = compare;
+    canvas.width  = Math.max(imgA.naturalWidth,  imgB.naturalWidth);
+    canvas.height = Math.max(imgA.naturalHeight, imgB.naturalHeight);
+    ctx.drawImage(imgA, 0, 0);
+    ctx.globalAlpha = Number($('compare-opacity').value) / 100;
+    ctx.drawImage(imgB, 0, 0);
+    ctx.globalAlpha = 1;
+  } else {
+    canvas.width  = compare.diff.width;
+    canvas.height = compare.diff.height;
+    ctx.drawImage(compare.diff, 0, 0);
+  }
+}
+
+/** 读取图片全部像素 */
+function getPixels(img) {
+  const canvas = document.createElement('canvas');
+  canvas.width  = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * 逐像素比较两张快照，返回差异热图画布与不一致比例
+ * 先用 cropImage 把两张图裁到公共区域再逐像素比较；尺寸不同时多出的区域整体计为差异
+ * 热图中未变化的像素淡化为浅灰，变化像素按差值由黄到红着色
+ */
+async function diffSnapshots(urlA, urlB) {
+  const [imgA, imgB] = await Promise.all([loadImage(urlA), loadImage(urlB)]);
+  const width  = Math.min(imgA.naturalWidth,  imgB.naturalWidth);
+  const height = Math.min(imgA.naturalHeight, imgB.naturalHeight);
+  const unionArea = Math.max(imgA.naturalWidth, imgB.naturalWidth)
+    * Math.max(imgA.naturalHeight, imgB.naturalHeight);
+
+  const common = { x: 0, y: 0, width, height, devicePixelRatio: 1 };
+  const [cropA, cropB] = await Promise.all([cropImage(urlA, common), cropImage(urlB, common)]);
+  const [pixA, pixB] = (await Promise.all([loadImage(cropA), loadImage(cropB)])).map(getPixels);
+
+  const canvas = document.createElement('canvas');
+  canvas.width  = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const out = ctx.createImageData(width, height);
+  const a = pixA.data;
+  const b = pixB.data;
+  const o = out.data;
+  let mismatched = 0;
+
+  for (let i = 0; i < o.length; i += 4) {
+    const d = Math.max(
+      Math.abs(a[i]     - b[i]),
+      Math.abs(a[i + 1] - b[i + 1]),
+      Math.abs(a[i + 2] - b[i + 2]),
+      Math.abs(a[i + 3] - b[i + 3]),
+    );
+    if (d > DIFF_THRESHOLD) {
+      mismatched++;
+      o[i]     = 255;
+      o[i + 1] = Math.round(200 * (1 - d / 255));
+      o[i + 2] = 0;
+    } else {
+      const luma = 0.299 * b[i] + 0.587 * b[i + 1] + 0.114 * b[i + 2];
+      const faded = 255 - (255 - luma) * 0.25;
+      o[i] = o[i + 1] = o[i + 2] = faded;
+    }
+    o[i + 3] = 255;
+  }
+  ctx.putImageData(out, 0, 0);
+
+  return { canvas, ratio: (mismatched + unionArea - width * height) / unionArea };
+}
+
+// ===== 保存截图 =====
+function handleSaveSnapshot() {
+  if (!lastSnapshotUrl) return;
+  const iframe = iframeList[activeModalIndex];
+  const domain = iframe?.src ? getDomain(iframe.src) : 'iframe';
+  const annotated = hasAnnotations();
+  const filename = `iframe_${activeModalIndex}_${domain}${annotated ? '_annotated' : ''}_${Date.now()}.png`;
+
+  const a = document.createElement('a');
+  a.href = annotated ? getAnnotatedSnapshotUrl() : lastSnapshotUrl;
+  a.download = filename;
+  a.click();
+}
+
+// ===== 批量截图 =====
+let batchRunning = false;
+let batchCancelled = false;
+
+/**
+ * 依次截取全部 iframe（沿用「完整」截图开关），逐项展示进度与失败原因，
+ * 完成后把 PNG 与 manifest.json 打包为一个 ZIP，由「下载 ZIP」按钮保存
+ */
+async function handleCaptureAll() {
+  if (!currentTabId || replaySession || batchRunning || iframeList.length === 0) return;
+
+  const modal    = $('batch-modal');
+  const items    = $('batch-items');
+  const btnClose = $('batch-cancel');
+  const btnZip   = $('batch-download');
+  const targets  = [...iframeList];
+
+  batchRunning = true;
+  batchCancelled = false;
+  btnZip.disabled = true;
+  btnClose.textContent = '取消';
+  items.innerHTML = '';
+  const rows = targets.map((iframe) => {
+    const li = document.createElement('li');
+    li.className = 'batch-item';
+    li.innerHTML = `
+      <span class="batch-item-name">${escHtml(`#${iframe.index} ${iframe.src || iframe.kind}`)}</span>
+      <span class="batch-item-status">等待</span>`;
+    items.appendChild(li);
+    return li;
+  });
+  const setRow = (li, state, text) => {
+    li.className = `batch-item batch-item--${state}`;
+    li.querySelector('.batch-item-status').textContent = text;
+    li.querySelector('.batch-item-status').title = text;
+  };
+  const setProgress = (done) => {
+    $('batch-progress-text').textContent = `${done} / ${targets.length}`;
+    $('batch-progress-bar').style.width = `${(done / targets.length) * 100}%`;
+  };
+
+  btnClose.onclick = () => {
+    if (batchRunning) { batchCancelled = true; return; }
+    modal.classList.add('hidden');
+  };
+  setProgress(0);
+  modal.classList.remove('hidden');
+
+  const timestamp = new Date().toISOString();
+  const files = [];
+  const manifest = [];
+
+  try {
+    for (let i = 0; i < targets.length; i++) {
+      const iframe = targets[i];
+      const li = rows[i];
+      const record = {
+        index : iframe.index,
+        kind  : iframe.kind,
+        src   : iframe.src,
+        width : iframe.width,
+        height: iframe.height,
+        domain: iframe.src ? getDomain(iframe.src) : '',
+        timestamp,
+      };
+
+      if (batchCancelled) {
+        setRow(li, 'error', '已取消');
+        manifest.push({ ...record, error: '已取消' });
+        continue;
+      }
+
+      setRow(li, 'running', '截图中...');
+      li.scrollIntoView({ block: 'nearest' });
+      try {
+        // 监听模式下批量截图期间列表可能重新扫描，按标记找回元素当前的序号，不沿用开始时的下标
+        const index = iframeList.findIndex((e) => e.frameId === iframe.frameId && e.uid === iframe.uid);
+        if (index < 0) throw new Error(ELEMENT_GONE);
+        record.index = index;
+        const dataUrl = await captureSnapshot(index, {
+          full: captureFullMode,
+          onProgress: (done, total) => setRow(li, 'running', `拼接中 ${done} / ${total}`),
+        });
+        recordSnapshot(iframe, dataUrl);
+        const file = `${String(index).padStart(3, '0')}_${iframe.kind}_${record.domain || 'inline'}.png`;
+        files.push({ name: file, data: await dataUrlToBytes(dataUrl) });
+        manifest.push({ ...record, file });
+        setRow(li, 'done', '完成');
+      } catch (err) {
+        manifest.push({ ...record, error: err.message });
+        setRow(li, 'error', `失败：${err.message}`);
+      }
+      setProgress(i + 1);
+    }
+
+    files.push({
+      name: 'manifest.json',
+      data: new TextEncoder().encode(JSON.stringify({
+        page: $('page-host').textContent,
+        capturedAt: timestamp,
+        fullCapture: captureFullMode,
+        items: manifest,
+      }, null, 2)),
+    });
+
+    const zip = createZip(files);
+    const filename = `iframe_snapshots_${$('page-host').textContent}_${Date.now()}.zip`;
+    btnZip.disabled = false;
+    btnZip.onclick = () => downloadBlob(zip, filename);
+  } finally {
+    batchRunning = false;
+    btnClose.textContent = '关闭';
+  }
+
+  const failed = manifest.filter((m) => m.error).length;
+  showToast(failed ? `完成，${failed} 项失败` : '全部截图完成，点击「下载 ZIP」保存', failed ? 'error' : 'success');
+}
+
+async function dataUrlToBytes(dataUrl) {
+  const res = await fetch(dataUrl);
+  return new Uint8Array(await res.arrayBuffer());
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// ===== ZIP 打包（仅存储不压缩，PNG 本身已压缩）=====
+let _crcTable = null;
+
+function crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      _crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 生成 ZIP 文件（STORE 方式，文件名按 UTF-8 编码）
+ * @param {{name: string, data: Uint8Array}[]} files
+ * @returns {Blob}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);   // 本地文件头签名
+    local.setUint16(4, 20, true);           // 解压所需版本
+    local.setUint16(6, 0x0800, true);       // 通用标记：文件名 UTF-8
+    local.setUint16(8, 0, true);            // 压缩方式：STORE
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);   // 中央目录签名
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);      // 本地文件头偏移
+    central.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);       // 中央目录结束签名
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// ===== 导出扫描结果 =====
+
+/** 将扫描结果整理为导出记录（参数按 parseUrlParams 拆分，截图取自 snapshotCache） */
+function buildExportRecords() {
+  return iframeList.map((iframe) => {
+    const parsed = iframe.src && !iframe.srcdoc ? parseUrlParams(iframe.src) : null;
+    return {
+      index     : iframe.index,
+      kind      : iframe.kind,
+      src       : iframe.src,
+      srcdoc    : iframe.srcdoc,
+      baseUrl   : parsed ? parsed.base : '',
+      params    : parsed ? parsed.entries.map(([key, value]) => ({ key, value })) : [],
+      hash      : parsed ? parsed.hash : '',
+      id        : iframe.id,
+      name      : iframe.name,
+      title     : iframe.title,
+      width     : iframe.width,
+      height    : iframe.height,
+      inViewport: iframe.inViewport,
+      domain    : iframe.src ? getDomain(iframe.src) : '',
+      protocol  : iframe.src ? getProtocol(iframe.src) : '',
+      frameId   : iframe.frameId,
+      depth     : iframe.depth,
+      shadowPath: iframe.shadowPath,
+      security  : iframe.security || null,
+      audit     : auditIframe(iframe),
+      console   : consoleLogsOf(iframe).map(({ level, text, source, count, time }) => ({
+        level, text, source, count, time: new Date(time).toISOString(),
+      })),
+      snapshot  : (replaySession ? replaySession.snapshots[iframe.uid] : snapshotCache.get(iframe.uid)) || null,
+    };
+  });
+}
+
+/**
+ * 导出扫描结果：json / csv / md / html
+ * Markdown 与 HTML 报告会以内联图片形式嵌入已截取的快照
+ */
+function exportScanResult(format) {
+  if (iframeList.length === 0) return;
+
+  // 回放时导出的是该次扫描记录
+  const page = replaySession ? replaySession.pageUrl : currentPageUrl;
+  const report = {
+    page,
+    scannedAt: new Date(replaySession ? replaySession.time : Date.now()).toISOString(),
+    count    : iframeList.length,
+    iframes  : buildExportRecords(),
+  };
+  const host = getDomain(page) || 'page';
+  const base = `iframe_report_${host}_${Date.now()}`;
+
+  const exporters = {
+    json: () => [JSON.stringify(report, null, 2), 'application/json'],
+    csv : () => [toCsv(report.iframes), 'text/csv'],
+    md  : () => [toMarkdownReport(report), 'text/markdown'],
+    html: () => [toHtmlReport(report), 'text/html'],
+  };
+  const [content, type] = exporters[format]();
+  downloadBlob(new Blob([content], { type: `${type};charset=utf-8` }), `${base}.${format}`);
+}
+
+const CSV_COLUMNS = [
+  'index', 'kind', 'src', 'params', 'id', 'name', 'title',
+  'width', 'height', 'inViewport', 'domain', 'protocol', 'frameId', 'depth', 'consoleErrors', 'consoleWarnings',
+];
+
+function toCsv(records) {
+  const cell = (v) => {
+    const str = String(v ?? '');
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = records.map((r) => {
+    const counts = countConsoleLogs(r.console);
+    const row = { ...r, consoleErrors: counts.errors, consoleWarnings: counts.warnings };
+    return CSV_COLUMNS.map((col) => (
+      col === 'params' ? cell(r.params.map(({ key, value }) => `${key}=${value}`).join('\n')) : cell(row[col])
+    )).join(',');
+  });
+  // 带 BOM，避免 Excel 打开中文乱码
+  return '\uFEFF' + [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+}
+
+function toMarkdownReport({ page, scannedAt, count, iframes }) {
+  const md = (s) => String(s ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const out = [
+    '# Iframe 扫描报告',
+    '',
+    `- 页面：${page}`,
+    `- 扫描时间：${scannedAt}`,
+    `- 元素数量：${count}`,
+    '',
+    '| # | 类型 | 域名 | 尺寸 | 在视口内 | src |',
+    '|---|------|------|------|----------|-----|',
+    ...iframes.map((r) => `| ${r.index} | ${r.kind} | ${md(r.domain)} | ${r.width} × ${r.height} | ${r.inViewport} | ${md(r.src)} |`),
+  ];
+
+  iframes.forEach((r) => {
+    out.push('', `## ${r.kind.toUpperCase()} #${r.index}${r.title ? ` · ${md(r.title)}` : ''}`, '');
+    out.push(`- src：\`${r.src || (r.srcdoc ? 'srcdoc' : '—')}\``);
+    out.push(`- id / name / title：${md(r.id) || '—'} / ${md(r.name) || '—'} / ${md(r.title) || '—'}`);
+    out.push(`- 尺寸：${r.width} × ${r.height} px，在视口内：${r.inViewport}`);
+    out.push(`- 域名 / 协议：${md(r.domain) || '—'} / ${r.protocol || '—'}`);
+    out.push(`- frame：${r.frameId}，嵌套深度：${r.depth}${r.shadowPath.length ? `，shadow：${md(r.shadowPath.join(' › '))}` : ''}`);
+    r.audit.forEach((f) => out.push(`- 安全审计 [${AUDIT_LEVELS[f.level]}]：${md(f.title)} — ${md(f.detail)}`));
+    r.console.forEach((log) => out.push(
+      `- 控制台 [${CONSOLE_LEVELS[log.level] || log.level}]${log.count > 1 ? ` ×${log.count}` : ''}：${md(log.text)}${log.source ? `（${md(log.source)}）` : ''}`
+    ));
+    if (r.params.length) {
+      out.push('', '| 参数 | 值 |', '|------|----|');
+      r.params.forEach(({ key, value }) => out.push(`| ${md(key)} | ${md(value)} |`));
+    }
+    if (r.snapshot) out.push('', `![${r.kind} #${r.index} 快照](${r.snapshot})`);
+  });
+
+  return out.join('\n') + '\n';
+}
+
+function toHtmlReport({ page, scannedAt, count, iframes }) {
+  const sections = iframes.map((r) => `
+    <section>
+      <h2>${r.kind.toUpperCase()} #${r.index}${r.title ? ` · ${escHtml(r.title)}` : ''}</h2>
+      <table>
+        <tr><th>src</th><td><code>${escHtml(r.src || (r.srcdoc ? 'srcdoc' : '—'))}</code></td></tr>
+        <tr><th>id / name / title</th><td>${escHtml(r.id || '—')} / ${escHtml(r.name || '—')} / ${escHtml(r.title || '—')}</td></tr>
+        <tr><th>尺寸</th><td>${r.width} × ${r.height} px</td></tr>
+        <tr><th>在视口内</th><td>${r.inViewport}</td></tr>
+        <tr><th>域名 / 协议</th><td>${escHtml(r.domain || '—')} / ${escHtml(r.protocol || '—')}</td></tr>
+        <tr><th>frame / 深度</th><td>${r.frameId} / ${r.depth}${r.shadowPath.length ? ` · shadow：${escHtml(r.shadowPath.join(' › '))}` : ''}</td></tr>
+      </table>
+      ${r.params.length ? `
+      <table class="params">
+        <tr><th>参数</th><th>值</th></tr>
+        ${r.params.map(({ key, value }) => `<tr><td><code>${escHtml(key)}</code></td><td><code>${escHtml(value)}</code></td></tr>`).join('')}
+      </table>` : ''}
+      ${r.console.length ? `
+      <table class="params">
+        <tr><th>控制台</th><th>内容</th></tr>
+        ${r.console.map((log) => `<tr><td>${escHtml(CONSOLE_LEVELS[log.level] || log.level)}${log.count > 1 ? ` ×${log.count}` : ''}</td><td><code>${escHtml(log.text)}</code>${log.source ? `<br />${escHtml(log.source)}` : ''}</td></tr>`).join('')}
+      </table>` : ''}
+      ${r.snapshot ? `<img src="${r.snapshot}" alt="快照" />` : ''}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8" />
+<title>Iframe 扫描报告 - ${escHtml(page)}</title>
+<style>
+  body { font: 13px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", system-ui, sans-serif; color: #18171a; margin: 24px; }
+  h1 { font-size: 20px; } h2 { font-size: 15px; margin-top: 28px; color: #2563eb; }
+  table { border-collapse: collapse; margin: 8px 0; width: 100%; }
+  th, td { border: 1px solid #e4e3e0; padding: 5px 8px; text-align: left; vertical-align: top; word-break: break-all; }
+  th { background: #f8f8f7; width: 160px; font-weight: 600; }
+  table.params th { width: auto; }
+  code { font-family: "SF Mono", Consolas, monospace; font-size: 12px; }
+  img { max-width: 100%; border: 1px solid #e4e3e0; margin-top: 8px; }
+</style>
+</head>
+<body>
+<h1>Iframe 扫描报告</h1>
+<p>页面：<code>${escHtml(page)}</code><br />扫描时间：${escHtml(scannedAt)}<br />元素数量：${count}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+function handleOpenUrl(e) {
+  const url = e.currentTarget.dataset.url;
+  if (url) chrome.tabs.create({ url });
+}
+
+// ===== URL 组成部分编辑 =====
+
+/** 拆分 hash：hash 路由（#/page?x=1）中 ? 之前为路径，之后为参数；query 为参数部分原文 */
+function splitHash(hash) {
+  const q = hash.indexOf('?');
+  if (q < 0) return { path: hash, query: '', entries: [] };
+  const query = hash.slice(q + 1);
+  return { path: hash.slice(0, q), query, entries: [...new URLSearchParams(query)] };
+}
+
+/**
+ * 地址组成部分编辑器：协议 / 主机 / 端口 / 路径段 / hash（含 hash 路由参数）
+ * 无 origin 的地址（about: / data: 等）只提供整段 base 的编辑
+ * @param {{base: string, hash: string}} value
+ * @param {(next: {base: string, hash: string}) => void} onChange - 全部字段校验通过时回调（base 已规范化）
+ * @param {(valid: boolean) => void} [onValidity]
+ * @returns {HTMLElement}
+ */
+function createUrlPartsEditor({ base, hash }, onChange, onValidity = () => {}) {
+  const root = document.createElement('div');
+  root.className = 'url-parts';
+
+  let url = null;
+  try {
+    url = new URL(base);
+    if (url.origin === 'null') url = null;
+  } catch { /* 非标准地址 */ }
+
+  const protocols = ['https:', 'http:'];
+  if (url && !protocols.includes(url.protocol)) protocols.push(url.protocol);
+  const hashParts = splitHash(hash);
+
+  root.innerHTML = `
+    ${url ? `
+    <div class="url-parts-line">
+      <span class="up-label">主机</span>
+      <select class="up-protocol">
+        ${protocols.map((p) => `<option value="${p}"${p === url.protocol ? ' selected' : ''}>${p}</option>`).join('')}
+      </select>
+      <span class="up-sep">//</span>
+      <input class="up-host" type="text" value="${escHtml(url.hostname)}" placeholder="主机名" spellcheck="false"/>
+      <span class="up-sep">:</span>
+      <input class="up-port" type="text" value="${escHtml(url.port)}" placeholder="端口" spellcheck="false"/>
+    </div>
+    <div class="url-parts-line up-path">
+      <span class="up-label">路径</span>
+      <button type="button" class="up-btn up-seg-add" title="添加路径段">+ 段</button>
+    </div>` : `
+    <div class="url-parts-line">
+      <span class="up-label">地址</span>
+      <input class="up-raw" type="text" value="${escHtml(base)}" spellcheck="false"/>
+    </div>`}
+    <div class="url-parts-line">
+      <span class="up-label">Hash</span>
+      <span class="up-sep">#</span>
+      <input class="up-hash-path" type="text" value="${escHtml(hashParts.path)}" placeholder="无（如 /page）" spellcheck="false"/>
+      <button type="button" class="up-btn up-hash-add" title="添加 hash 路由参数（#/page?x=1）">+ 参数</button>
+    </div>
+    <div class="up-hash-params"></div>
+    <div class="url-parts-error hidden"></div>`;
+
+  const pathLine   = root.querySelector('.up-path');
+  const hashParams = root.querySelector('.up-hash-params');
+
+  const addSegment = (value = '', focus = false) => {
+    const wrap = document.createElement('span');
+    wrap.className = 'up-seg-wrap';
+    wrap.innerHTML = `<span class="up-sep">/</span>` +
+      `<input class="up-seg" type="text" spellcheck="false"/>` +
+      `<button type="button" class="up-seg-del" title="删除此路径段">×</button>`;
+    const input = wrap.querySelector('input');
+    input.value = value;
+    input.size = Math.max(value.length, 2);
+    input.addEventListener('input', () => { input.size = Math.max(input.value.length, 2); });
+    wrap.querySelector('.up-seg-del').addEventListener('click', () => { wrap.remove(); update(); });
+    pathLine.querySelector('.up-seg-add').before(wrap);
+    if (focus) input.focus();
+  };
+
+  const addHashParam = (key = '', value = '', focus = false) => {
+    const row = document.createElement('div');
+    row.className = 'param-row';
+    row.innerHTML = `
+      <div class="param-row-key">
+        <input class="param-key-input" type="text" value="${escHtml(key)}" placeholder="参数名" spellcheck="false"/>
+      </div>
+      <div class="param-row-val">
+        <input class="param-val-input" type="text" value="${escHtml(value)}" placeholder="参数值" spellcheck="false"/>
+      </div>
+      <div class="param-row-del">
+        <button type="button" class="icon-btn danger" title="删除此参数">
+          <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M2 2l10 10M12 2 2 12" stroke-linecap="round"/>
+          </svg>
+        </button>
+      </div>`;
+    row.querySelector('.icon-btn').addEventListener('click', () => { row.remove(); update(); });
+    attachValueDecoder(row);
+    hashParams.appendChild(row);
+    if (focus) row.querySelector('.param-key-input').focus();
+  };
+
+  // 路径按 / 拆段；保留末尾斜杠（最后一段为空）
+  if (url) url.pathname.slice(1).split('/').forEach((seg) => addSegment(seg));
+  hashParts.entries.forEach(([k, v]) => addHashParam(k, v));
+
+  /** 校验并拼出 base / hash，出错时标红对应输入框并返回错误信息 */
+  const read = () => {
+    root.querySelectorAll('.is-invalid').forEach((el) => el.classList.remove('is-invalid'));
+    const fail = (el, message) => {
+      el.classList.add('is-invalid');
+      return { error: message };
+    };
+
+    let nextBase;
+    if (url) {
+      const hostEl = root.querySelector('.up-host');
+      const portEl = root.querySelector('.up-port');
+      const host = hostEl.value.trim();
+      const port = portEl.value.trim();
+      if (!host) return fail(hostEl, '主机名不能为空');
+      if (!/^(\[[0-9a-f:.]+\]|[\w.-]+)$/i.test(host)) return fail(hostEl, '主机名只能包含字母、数字、- 和 .');
+      if (port && !(/^\d+$/.test(port) && Number(port) >= 1 && Number(port) <= 65535)) {
+        return fail(portEl, '端口需为 1-65535 的整数');
+      }
+      const segs = [];
+      for (const input of root.querySelectorAll('.up-seg')) {
+        if (/[/?#]/.test(input.value)) return fail(input, '路径段不能包含 / ? #');
+        segs.push(input.value);
+      }
+      // 在原地址上逐项改写，保留用户名 / 密码等编辑器未展示的部分
+      try {
+        const u = new URL(url.href);
+        u.protocol = root.querySelector('.up-protocol').value;
+        u.hostname = host;
+        u.port     = port;
+        u.pathname = `/${segs.join('/')}`;
+        u.search   = '';
+        u.hash     = '';
+        nextBase = u.href;
+      } catch {
+        return fail(hostEl, '地址无效');
+      }
+    } else {
+      const rawEl = root.querySelector('.up-raw');
+      nextBase = rawEl.value.trim();
+      if (!nextBase) return fail(rawEl, '地址不能为空');
+    }
+
+    const hashPathEl = root.querySelector('.up-hash-path');
+    const hashPath = hashPathEl.value.trim().replace(/^#/, '');
+    if (/[?#]/.test(hashPath)) return fail(hashPathEl, 'hash 路由参数请通过「+ 参数」逐项编辑');
+    const entries = [];
+    hashParams.querySelectorAll('.param-row').forEach((row) => {
+      const k = row.querySelector('.param-key-input').value.trim();
+      if (k) entries.push([k, row.querySelector('.param-val-input').value]);
+    });
+    // 参数没有实际变化时沿用原文，避免重新编码（如 %20 变为 +）改变页面收到的 hash
+    const unchanged = entries.length === hashParts.entries.length &&
+      entries.every(([k, v], i) => k === hashParts.entries[i][0] && v === hashParts.entries[i][1]);
+    const query = unchanged ? hashParts.query : new URLSearchParams(entries).toString();
+
+    return { base: nextBase, hash: hashPath + (query ? `?${query}` : '') };
+  };
+
+  const update = () => {
+    const { error, base: nextBase, hash: nextHash } = read();
+    const errorEl = root.querySelector('.url-parts-error');
+    errorEl.textContent = error || '';
+    errorEl.classList.toggle('hidden', !error);
+    onValidity(!error);
+    if (!error) onChange({ base: nextBase, hash: nextHash });
+  };
+
+  root.addEventListener('input', update);
+  root.addEventListener('change', (e) => { if (e.target.matches('select')) update(); });
+  root.querySelector('.up-seg-add')?.addEventListener('click', () => addSegment('', true));
+  root.querySelector('.up-hash-add').addEventListener('click', () => addHashParam('', '', true));
+
+  return root;
+}
+
+// ===== 参数编辑器状态 =====
+let peOriginalSrc = '';   // 页面中元素当前的 src，用于对比是否修改
+let peSyncLock = false;   // 弹层 → 卡片同步期间，避免卡片刷新再回写弹层
+let peBase = '';          // 编辑中的 base（origin + path）
+let peHash = '';          // 编辑中的 hash（不含 #）
+let peUrlValid = true;    // 地址组成部分是否校验通过
+
+/** 弹层对应 iframe 的卡片（已移除 / 不存在时为 null） */
+function modalCard() {
+  if (activeModalIndex < 0) return null;
+  return document.querySelector(`.iframe-card[data-index="${activeModalIndex}"]`);
+}
+
+// ===== 填充 URL 参数面板 =====
+function fillParamsPanel(iframe) {
+  peOriginalSrc = iframe.src || '';
+  const editable = !!iframe.src && !iframe.srcdoc;
+
+  $('btn-add-param').disabled = !editable;
+  $('btn-reset-params').disabled = !editable;
+  $('btn-apply-save').disabled = true;
+  $('pe-changed-badge').classList.add('hidden');
+
+  if (!editable) {
     $('param-base-url').textContent = iframe.srcdoc ? '（srcdoc 内联 HTML，无 URL）' : '（无 src）';
+    $('pe-url-parts').innerHTML = '';
     $('param-rows').innerHTML = '';
     $('no-params').classList.remove('hidden');
+    $('pe-dup-hint').classList.add('hidden');
     $('param-tab-count').textContent = '0';
     $('params-hint').textContent = '0';
     $('pe-result-url').textContent = '—';
     const copyFullBtn = $('btn-copy-full-url');
     if (copyFullBtn) copyFullBtn.onclick = null;
+    $('btn-params-preset').disabled = true;
     return;
   }
+  $('btn-params-preset').disabled = !presetScopeOf(iframe.src);
+
+  // 复制按钮读取编辑中的地址
+  const copyBaseBtn = document.querySelector('[data-copy="base-url"]');
+  if (copyBaseBtn) copyBaseBtn.onclick = () => copyText($('param-base-url').textContent);
+  const copyFullBtn = $('btn-copy-full-url');
+  if (copyFullBtn) copyFullBtn.onclick = () => copyText($('pe-result-url').textContent);
+
+  // 卡片中尚未保存的编辑一并带入
+  const card = modalCard();
+  fillParamsEditor(card ? buildCardUrl(card) : iframe.src);
+}
+
+/** 用给定 URL 填充弹层编辑器（不回写卡片） */
+function fillParamsEditor(url) {
+  const parsed = parseUrlParams(url);
+  peBase = parsed.base;
+  peHash = parsed.hash;
+  peUrlValid = true;
+  $('pe-url-parts').replaceChildren(createUrlPartsEditor(
+    { base: peBase, hash: peHash },
+    ({ base, hash }) => {
+      peBase = base;
+      peHash = hash;
+      refreshResultUrl();
+    },
+    (valid) => {
+      peUrlValid = valid;
+      $('btn-apply-save').disabled = !valid || buildEditorUrl() === peOriginalSrc;
+    },
+  ));
+  renderParamRows(parsed.entries);
+  refreshResultUrl({ sync: false });
+}
+
+/** 渲染全部参数行 */
+function renderParamRows(entries) {
+  const container = $('param-rows');
+  container.innerHTML = '';
+  $('no-params').classList.toggle('hidden', entries.length > 0);
+  entries.forEach(([k, v]) => addParamRow(k, v, false));
+}
+
+/** 新增一行可编辑参数 */
+function addParamRow(key = '', value = '', shouldFocus = true) {
+  $('no-params').classList.add('hidden');
+
+  const row = document.createElement('div');
+  row.className = 'param-row pe-param-row';
+  row.innerHTML = `
+    <div class="param-row-drag" title="拖动调整顺序">
+      <svg viewBox="0 0 8 12" fill="currentColor">
+        <circle cx="2" cy="2" r="1"/><circle cx="6" cy="2" r="1"/>
+        <circle cx="2" cy="6" r="1"/><circle cx="6" cy="6" r="1"/>
+        <circle cx="2" cy="10" r="1"/><circle cx="6" cy="10" r="1"/>
+      </svg>
+    </div>
+    <div class="param-row-key">
+      <input class="param-key-input" type="text" value="${escHtml(key)}" placeholder="参数名" spellcheck="false"/>
+    </div>
+    <div class="param-row-val">
+      <input class="param-val-input" type="text" value="${escHtml(value)}" placeholder="参数值" spellcheck="false"/>
+    </div>
+    <div class="param-row-copy">
+      <button class="icon-btn" title="复制参数值">
+        <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.8">
+          <rect x="4" y="4" width="8" height="8" rx="1.2"/>
+          <path d="M2 10V2h8" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+      </button>
+    </div>
+    <div class="param-row-del">
+      <button class="icon-btn danger" title="删除此参数">
+        <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M2 2l10 10M12 2 2 12" stroke-linecap="round"/>
+        </svg>
+      </button>
+    </div>`;
+
+  row.querySelectorAll('input').forEach((inp) => {
+    inp.addEventListener('input', () => refreshResultUrl());
+  });
+  attachValueDecoder(row);
+
+  row.querySelector('.param-row-copy .icon-btn').addEventListener('click', () => {
+    copyText(row.querySelector('.param-val-input').value);
+  });
+
+  row.querySelector('.param-row-del .icon-btn').addEventListener('click', async () => {
+    const keyVal = row.querySelector('.param-key-input').value || '该参数';
+    const confirmed = await showConfirm(`确认删除参数 <strong>${escHtml(keyVal)}</strong> ？`);
+    if (!confirmed) return;
+    row.remove();
+    if ($('param-rows').children.length === 0) $('no-params').classList.remove('hidden');
+    refreshResultUrl();
+  });
+
+  // 仅按住手柄时可拖动，避免影响输入框选中文字
+  const handle = row.querySelector('.param-row-drag');
+  handle.addEventListener('mousedown', () => { row.draggable = true; });
+  handle.addEventListener('mouseup', () => { row.draggable = false; });
+  row.addEventListener('dragstart', (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    row.classList.add('dragging');
+  });
+  row.addEventListener('dragend', () => {
+    row.draggable = false;
+    row.classList.remove('dragging');
+    refreshResultUrl();
+  });
+
+  $('param-rows').appendChild(row);
+
+  if (shouldFocus) {
+    row.querySelector('.param-key-input').focus();
+  }
+}
+
+/** 拖动参数行时，按指针位置插入到对应行之前 / 之后 */
+function handleParamRowDragOver(e) {
+  const dragging = $('param-rows').querySelector('.pe-param-row.dragging');
+  if (!dragging) return;
+  e.preventDefault();
+  const over = e.target.closest('.pe-param-row');
+  if (!over || over === dragging) return;
+  const rect = over.getBoundingClientRect();
+  over.parentNode.insertBefore(dragging, e.clientY < rect.top + rect.height / 2 ? over : over.nextSibling);
+}
+
+/** 读取弹层参数行（忽略参数名为空的行） */
+function readEditorParams() {
+  return Array.from($('param-rows').querySelectorAll('.pe-param-row'))
+    .map((row) => [row.querySelector('.param-key-input').value.trim(), row.querySelector('.param-val-input').value])
+    .filter(([k]) => k);
+}
+
+/** 由 base、参数行、hash 拼出完整 URL */
+function buildEditorUrl() {
+  const params = new URLSearchParams();
+  readEditorParams().forEach(([k, v]) => params.append(k, v));
+  const query = params.toString();
+  return peBase + (query ? `?${query}` : '') + (peHash ? `#${peHash}` : '');
+}
+
+/**
+ * 从编辑器读取当前值，重建 URL 并显示
+ * @param {object} [opts]
+ * @param {boolean} [opts.sync] - 是否同步到卡片，默认 true（由卡片触发的刷新传 false）
+ */
+function refreshResultUrl({ sync = true } = {}) {
+  const newUrl = buildEditorUrl();
+  const rows   = $('param-rows').querySelectorAll('.pe-param-row');
+
+  $('pe-result-url').textContent = newUrl;
+  $('pe-result-url').title = newUrl;
+  $('param-base-url').textContent = parseUrlParams(newUrl).base;
+
+  // 对比是否有修改
+  const changed = (newUrl !== peOriginalSrc);
+  $('pe-changed-badge').classList.toggle('hidden', !changed);
+  $('btn-apply-save').disabled = !changed || !peUrlValid;
+  $('param-tab-count').textContent = rows.length;
+  $('params-hint').textContent     = rows.length;
+
+  // 标记重复参数名（URL 允许同名参数，仅作提示）
+  const counts = new Map();
+  rows.forEach((row) => {
+    const k = row.querySelector('.param-key-input').value.trim();
+    if (k) counts.set(k, (counts.get(k) || 0) + 1);
+  });
+  rows.forEach((row) => {
+    const k = row.querySelector('.param-key-input').value.trim();
+    row.classList.toggle('is-dup', counts.get(k) > 1);
+  });
+  const dupKeys = [...counts].filter(([, n]) => n > 1).map(([k]) => k);
+  $('pe-dup-hint').textContent = `重复：${dupKeys.join(', ')}`;
+  $('pe-dup-hint').classList.toggle('hidden', dupKeys.length === 0);
+
+  if (sync) {
+    const card = modalCard();
+    if (card) {
+      peSyncLock = true;
+      try { setCardUrl(card, newUrl); } finally { peSyncLock = false; }
+    }
+  }
+}
+
+/** 「放弃修改」：弹层与卡片都恢复为页面中元素当前的地址 */
+function resetParamsEditor() {
+  fillParamsEditor(peOriginalSrc);
+  refreshResultUrl();
+}
+
+/**
+ * 「保存到页面」：将编辑后的 URL 注入页面 iframe，更新本地记录
+ * 不切换 tab，不触发截图
+ */
+async function handleSaveParams() {
+  const newUrl = $('pe-result-url').textContent;
+  if (!newUrl || newUrl === '—' || replaySession) return;
+
+  const btn = $('btn-apply-save');
+  btn.disabled = true;
+
+  // 将页面中 iframe 的 src 更新（同时更新本地 iframeList 并记录改写历史）
+  if (currentTabId && iframeList[activeModalIndex]) {
+    try {
+      await rewriteIframeSrc(activeModalIndex, newUrl);
+      peOriginalSrc = newUrl;
+      // 卡片以新地址为原始地址重建
+      refreshCardForEntry(iframeList[activeModalIndex]);
+      $('modal-open-url').dataset.url = newUrl;
+      refreshResultUrl({ sync: false });
+      showToast('已更新 iframe src', 'success');
+      return;
+    } catch (err) {
+      showToast(err.message === ELEMENT_GONE ? ELEMENT_GONE : '页面 iframe src 更新失败', 'error');
+    }
+  }
+
+  btn.disabled = false;
+}
+
+// ===== 参数值解码 =====
+/**
+ * 识别参数值中的常见编码并提供解码视图：
+ * - jwt   ：header / payload 以 JSON 树展示，并显示过期时间；修改后重新编码（签名不变，将失效）
+ * - json  ：JSON 树
+ * - base64：解码为文本，内容为 JSON 时以 JSON 树展示；重新编码时保留 URL-safe / 补位风格
+ * - url   ：嵌套地址，展示并编辑其自身的参数表（参数值可继续解码）
+ * 解码视图中的修改会编码回参数值输入框并触发其 input 事件，由 refreshCardUrl / refreshResultUrl 拼入 URL
+ */
+const ENCODING_LABELS = { jwt: 'JWT', json: 'JSON', base64: 'B64', url: 'URL' };
+
+function base64ToUtf8(str) {
+  let b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  b64 += '='.repeat((4 - (b64.length % 4)) % 4);
+  const bytes = Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+function utf8ToBase64(text, { urlSafe = false, padded = true } = {}) {
+  const bytes = new TextEncoder().encode(text);
+  let b64 = btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(''));
+  if (urlSafe) b64 = b64.replace(/\+/g, '-').replace(/\//g, '_');
+  if (!padded) b64 = b64.replace(/=+$/, '');
+  return b64;
+}
+
+function tryParseJson(text) {
+  const t = text.trim();
+  if (!/^[[{]/.test(t)) return undefined;
+  try { return JSON.parse(t); } catch { return undefined; }
+}
+
+/** 识别参数值编码，无法识别返回 null */
+function decodeParamValue(value) {
+  if (!value || value.length < 4) return null;
+
+  // JWT：三段 base64url，header 需为含 alg 的 JSON
+  if (/^[\w-]+\.[\w-]+\.[\w-]*$/.test(value)) {
+    const [h, p, signature] = value.split('.');
+    try {
+      const header  = JSON.parse(base64ToUtf8(h));
+      const payload = JSON.parse(base64ToUtf8(p));
+      if (header && typeof header === 'object' && header.alg) return { type: 'jwt', header, payload, signature };
+    } catch { /* 不是 JWT */ }
+  }
+
+  const json = tryParseJson(value);
+  if (json !== undefined) return { type: 'json', data: json };
+
+  if (/^https?:\/\//i.test(value)) {
+    try { new URL(value); return { type: 'url', url: value }; } catch { /* 不是合法 URL */ }
+  }
+
+  // Base64：未编码的 + 在查询串中会被解析为空格，这里还原
+  const b64 = value.replace(/ /g, '+');
+  if (b64.length >= 8 && b64.length % 4 !== 1 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(b64)) {
+    try {
+      const text = base64ToUtf8(b64);
+      // 解码结果含控制字符时多半是误判（普通单词也可能恰好是合法 base64）
+      if (text && !/[\x00-\x08\x0E-\x1F\x7F\uFFFD]/.test(text)) {
+        return {
+          type   : 'base64',
+          text,
+          data   : tryParseJson(text),
+          urlSafe: /[-_]/.test(b64),
+          padded : b64.endsWith('='),
+        };
+      }
+    } catch { /* 不是 base64 */ }
+  }
+  return null;
+}
+
+/** 将（修改后的）解码结果编码回参数值 */
+function encodeParamValue(info) {
+  switch (info.type) {
+    case 'jwt': {
+      const opts = { urlSafe: true, padded: false };
+      return [
+        utf8ToBase64(JSON.stringify(info.header), opts),
+        utf8ToBase64(JSON.stringify(info.payload), opts),
+        info.signature,
+      ].join('.');
+    }
+    case 'json':
+      return JSON.stringify(info.data);
+    case 'base64':
+      return utf8ToBase64(info.data !== undefined ? JSON.stringify(info.data) : info.text, info);
+    case 'url':
+      return info.url;
+  }
+  return '';
+}
+
+/**
+ * 给参数行挂上编码识别：值可解码时在值输入框后显示类型徽标，点击展开 / 收起解码视图
+ * 解码视图放在参数行内并占满整行，删除、拖动参数行时随行一起移动
+ */
+function attachValueDecoder(row) {
+  const valInput = row.querySelector('.param-val-input');
+  const badge = document.createElement('button');
+  badge.type = 'button';
+  badge.className = 'param-enc-badge hidden';
+  badge.title = '展开 / 收起解码视图';
+  valInput.after(badge);
+
+  let info = null;
+  let panel = null;
+  let writing = false;  // 解码视图回写期间不重建视图，避免输入框失焦
+
+  const closePanel = () => {
+    panel?.remove();
+    panel = null;
+    badge.classList.remove('active');
+  };
+
+  const openPanel = () => {
+    panel = document.createElement('div');
+    panel.className = 'param-decoded';
+    renderDecodedView(panel, info, (next) => {
+      writing = true;
+      valInput.value = encodeParamValue(next);
+      valInput.dispatchEvent(new Event('input'));
+      writing = false;
+    });
+    row.appendChild(panel);
+    badge.classList.add('active');
+  };
+
+  const detect = () => {
+    if (writing) return;
+    info = decodeParamValue(valInput.value);
+    badge.classList.toggle('hidden', !info);
+    if (!info) { closePanel(); return; }
+    badge.textContent = ENCODING_LABELS[info.type];
+    if (panel) { closePanel(); openPanel(); }
+  };
+
+  badge.addEventListener('click', () => (panel ? closePanel() : openPanel()));
+  valInput.addEventListener('input', detect);
+  detect();
+}
+
+/** 按编码类型渲染解码视图；onChange 收到修改后的解码结果 */
+function renderDecodedView(panel, info, onChange) {
+  if (info.type === 'jwt') {
+    panel.appendChild(jwtSummary(info.payload));
+    panel.appendChild(decodedSection('Header', info.header, (header) => onChange({ ...info, header })));
+    panel.appendChild(decodedSection('Payload', info.payload, (payload) => onChange({ ...info, payload })));
+    const note = document.createElement('div');
+    note.className = 'dt-note';
+    note.textContent = '修改 header / payload 后签名不会重新计算，服务端校验签名时将失败';
+    panel.appendChild(note);
+    return;
+  }
+
+  if (info.type === 'json') {
+    panel.appendChild(decodedSection('JSON', info.data, (data) => onChange({ ...info, data })));
+    return;
+  }
+
+  if (info.type === 'base64') {
+    if (info.data !== undefined) {
+      panel.appendChild(decodedSection('Base64 → JSON', info.data, (data) => onChange({ ...info, data })));
+      return;
+    }
+    const textarea = document.createElement('textarea');
+    textarea.className = 'dt-textarea';
+    textarea.spellcheck = false;
+    textarea.value = info.text;
+    textarea.addEventListener('input', () => onChange({ ...info, text: textarea.value }));
+    panel.appendChild(decodedLabel('Base64 → 文本'));
+    panel.appendChild(textarea);
+    return;
+  }
+
+  if (info.type === 'url') {
+    panel.appendChild(nestedUrlTable(info.url, (url) => onChange({ ...info, url })));
+  }
+}
+
+function decodedLabel(text) {
+  const label = document.createElement('div');
+  label.className = 'dt-label';
+  label.textContent = text;
+  return label;
+}
+
+function decodedSection(title, data, onChange) {
+  const section = document.createElement('div');
+  section.className = 'dt-section';
+  section.appendChild(decodedLabel(title));
+  // 深拷贝一份作为可变副本，叶子修改后整体回传
+  const root = { value: structuredClone(data) };
+  section.appendChild(buildJsonTree('value', root, () => onChange(root.value), true));
+  return section;
+}
+
+/** JWT 关键时间字段：签发 / 生效 / 过期，并提示是否已过期 */
+function jwtSummary(payload) {
+  const el = document.createElement('div');
+  el.className = 'dt-jwt-summary';
+  const fmt = (sec) => new Date(sec * 1000).toLocaleString();
+  const parts = [];
+  if (typeof payload?.iat === 'number') parts.push(`签发 ${fmt(payload.iat)}`);
+  if (typeof payload?.nbf === 'number') parts.push(`生效 ${fmt(payload.nbf)}`);
+  if (typeof payload?.exp === 'number') {
+    const expired = payload.exp * 1000 < Date.now();
+    parts.push(`过期 ${fmt(payload.exp)}`);
+    el.innerHTML = `${escHtml(parts.join(' · '))} <span class="dt-exp ${expired ? 'is-expired' : 'is-valid'}">${expired ? '已过期' : '未过期'}</span>`;
+    return el;
+  }
+  el.textContent = parts.length ? parts.join(' · ') : '无过期时间（exp）';
+  return el;
+}
+
+/**
+ * 可折叠、可编辑的 JSON 树；叶子值编辑后写回 parent[key] 并调用 onChange
+ * 字符串叶子按原样保存，其它类型的叶子按 JSON 解析（解析失败则存为字符串）
+ */
+function buildJsonTree(key, parent, onChange, isRoot = false) {
+  const value = parent[key];
+
+  if (value && typeof value === 'object') {
+    const details = document.createElement('details');
+    details.className = 'dt-node';
+    details.open = true;
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    const summary = document.createElement('summary');
+    summary.innerHTML = `${isRoot ? '' : `<span class="dt-key">${escHtml(key)}</span>: `}` +
+      `<span class="dt-type">${Array.isArray(value) ? `Array(${entries.length})` : `Object{${entries.length}}`}</span>`;
+    details.appendChild(summary);
+    entries.forEach(([k]) => details.appendChild(buildJsonTree(k, value, onChange)));
+    return details;
+  }
+
+  const leaf = document.createElement('div');
+  leaf.className = 'dt-leaf';
+  const isString = typeof value === 'string';
+  leaf.innerHTML = `<span class="dt-key">${escHtml(key)}</span>: ` +
+    `<input class="dt-input dt-input--${value === null ? 'null' : typeof value}" type="text" spellcheck="false"/>`;
+  const input = leaf.querySelector('input');
+  input.value = isString ? value : JSON.stringify(value);
+  input.addEventListener('input', () => {
+    if (isString) {
+      parent[key] = input.value;
+    } else {
+      try { parent[key] = JSON.parse(input.value); } catch { parent[key] = input.value; }
+    }
+    onChange();
+  });
+  return leaf;
+}
+
+/** 嵌套 URL 的参数表：参数值同样挂载编码识别，可逐层解码 */
+function nestedUrlTable(url, onChange) {
+  const wrap = document.createElement('div');
+  wrap.className = 'dt-section';
+  const parsed = parseUrlParams(url);
+  wrap.appendChild(decodedLabel('嵌套 URL'));
+
+  const base = document.createElement('code');
+  base.className = 'dt-url-base';
+  base.textContent = parsed.base;
+  wrap.appendChild(base);
+
+  const rows = document.createElement('div');
+  rows.className = 'dt-url-rows';
+  const rebuild = () => {
+    const params = new URLSearchParams();
+    rows.querySelectorAll('.param-row').forEach((row) => {
+      const k = row.querySelector('.param-key-input').value.trim();
+      if (k) params.append(k, row.querySelector('.param-val-input').value);
+    });
+    const query = params.toString();
+    onChange(parsed.base + (query ? `?${query}` : '') + (parsed.hash ? `#${parsed.hash}` : ''));
+  };
+
+  parsed.entries.forEach(([k, v]) => {
+    const row = document.createElement('div');
+    row.className = 'param-row dt-url-row';
+    row.innerHTML = `
+      <div class="param-row-key">
+        <input class="param-key-input" type="text" value="${escHtml(k)}" spellcheck="false"/>
+      </div>
+      <div class="param-row-val">
+        <input class="param-val-input" type="text" value="${escHtml(v)}" spellcheck="false"/>
+      </div>`;
+    row.querySelectorAll('input').forEach((inp) => inp.addEventListener('input', rebuild));
+    attachValueDecoder(row);
+    rows.appendChild(row);
+  });
+  if (parsed.entries.length === 0) {
+    rows.innerHTML = '<div class="dt-note">无查询参数</div>';
+  }
+  wrap.appendChild(rows);
+  return wrap;
+}
+
+// ===== 扫描记录 =====
+/**
+ * 每次扫描保存一条记录，存于 chrome.storage.local（已申请 unlimitedStorage，快照不受 5MB 配额限制）：
+ * - scanSessions        [{ id, pageUrl, scope, time, iframes }]，新的在前；scope 为 origin + 路径，用于归为同一页面
+ * - scanSnapshots:<id>  { uid: dataUrl }，该次扫描期间各 iframe 最近一次截图
+ * 与同页面上一条记录的 iframe 完全一致时沿用该记录（只更新时间），避免每次打开弹窗都新增一条
+ */
+const SCAN_SESSIONS_KEY = 'scanSessions';
+const SCAN_SESSION_LIMIT = 50;
+
+const scanSnapshotsKey = (id) => `scanSnapshots:${id}`;
+
+const SCAN_DIFF_LABELS = { appeared: '新出现', vanished: '已消失', changed: 'src 变化', same: '未变化' };
+
+let currentSessionId = null;  // 当前扫描结果对应的记录
+let replaySession = null;     // 正在回放的记录（含 snapshots），null 表示显示当前页面
+let sessionWriteQueue = Promise.resolve();  // 串行执行读改写，避免扫描与截图同时保存互相覆盖
+
+async function loadScanSessions() {
+  const { [SCAN_SESSIONS_KEY]: sessions } = await chrome.storage.local.get(SCAN_SESSIONS_KEY);
+  return sessions || [];
+}
+
+function saveScanSessions(sessions) {
+  return chrome.storage.local.set({ [SCAN_SESSIONS_KEY]: sessions });
+}
+
+function queueSessionWrite(task) {
+  sessionWriteQueue = sessionWriteQueue.then(task).catch((err) => console.error('保存扫描记录失败:', err));
+  return sessionWriteQueue;
+}
+
+function formatSessionTime(time) {
+  return new Date(time).toLocaleString();
+}
+
+/** 同页面中 session 之前的一条记录 */
+function previousSession(sessions, session) {
+  return sessions.slice(sessions.indexOf(session) + 1).find((s) => s.scope === session.scope) || null;
+}
+
+/** 用于判断两次扫描结果是否相同 */
+function scanSignature(list) {
+  return list.map((e) => `${e.kind}|${e.depth}|${e.srcdoc ? 'srcdoc' : e.src}`).join('\n');
+}
+
+/**
+ * 保存扫描结果：完整扫描新增（或沿用）一条记录，增量扫描更新当前记录
+ * @param {object} [opts]
+ * @param {boolean} [opts.incremental]
+ */
+function saveScanSession({ incremental = false } = {}) {
+  if (!currentPageUrl) return;
+  const tabId   = currentTabId;
+  const pageUrl = currentPageUrl;
+  const iframes = iframeList;
+
+  queueSessionWrite(async () => {
+    const sessions = await loadScanSessions();
+    const scope = presetScopeOf(pageUrl);
+    let session = incremental
+      ? sessions.find((s) => s.id === currentSessionId)
+      : sessions.find((s) => s.scope === scope);
+    if (session && !incremental && scanSignature(session.iframes) !== scanSignature(iframes)) session = null;
+    if (!session && incremental) return;
+
+    if (session) {
+      sessions.splice(sessions.indexOf(session), 1);
+      Object.assign(session, { pageUrl, time: Date.now(), iframes });
+    } else {
+      session = {
+        id  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        pageUrl,
+        scope,
+        time: Date.now(),
+        iframes,
+      };
+    }
+    sessions.unshift(session);
+
+    const dropped = sessions.splice(SCAN_SESSION_LIMIT);
+    if (dropped.length) await chrome.storage.local.remove(dropped.map((s) => scanSnapshotsKey(s.id)));
+    await saveScanSessions(sessions);
+
+    // 保存期间侧边栏可能已切换到其他 tab
+    if (currentTabId !== tabId) return;
+    currentSessionId = session.id;
+    updateScanDiffButton(sessions);
+  });
+}
+
+/** 截图写入当前记录（回放时不写入） */
+function saveSessionSnapshot(uid, dataUrl) {
+  if (replaySession) return;
+  queueSessionWrite(async () => {
+    if (!currentSessionId) return;
+    // 记录可能已被删除 / 清空，不能为其重建快照键
+    const sessions = await loadScanSessions();
+    if (!sessions.some((s) => s.id === currentSessionId)) return;
+    const key = scanSnapshotsKey(currentSessionId);
+    const { [key]: snapshots = {} } = await chrome.storage.local.get(key);
+    snapshots[uid] = dataUrl;
+    await chrome.storage.local.set({ [key]: snapshots });
+  });
+}
+
+/** 本页面存在上一次扫描记录时显示「对比上次」 */
+async function updateScanDiffButton(sessions) {
+  const btn = $('btn-scan-diff');
+  if (!btn) return;
+  if (!currentSessionId) { btn.classList.add('hidden'); return; }
+  sessions = sessions || await loadScanSessions();
+  const session = sessions.find((s) => s.id === currentSessionId);
+  btn.classList.toggle('hidden', !session || !previousSession(sessions, session));
+}
+
+/**
+ * 对比两次扫描：先按元素标记配对（同一次页面加载），再按类型 + 地址，最后按 id / name 配对（视为 src 变化）
+ * @returns {{ status: 'appeared'|'vanished'|'changed'|'same', prev: object|null, next: object|null }[]}
+ */
+function diffScans(prevList, nextList) {
+  const rest = new Set(prevList);
+  const pairs = [];
+  const take = (match) => {
+    for (const p of rest) {
+      if (match(p)) { rest.delete(p); return p; }
+    }
+    return null;
+  };
+  const slotKey = (e) => (e.id || e.name ? `${e.kind}|${e.depth}|${e.id}|${e.name}` : '');
+
+  let pending = nextList;
+  [
+    (e) => (p) => p.uid === e.uid,
+    (e) => (p) => p.kind === e.kind && p.src === e.src && !!p.srcdoc === !!e.srcdoc,
+    (e) => (p) => !!slotKey(e) && slotKey(p) === slotKey(e),
+  ].forEach((matcher) => {
+    pending = pending.filter((e) => {
+      const prev = take(matcher(e));
+      if (prev) pairs.push({ prev, next: e });
+      return !prev;
+    });
+  });
+  pending.forEach((e) => pairs.push({ prev: null, next: e }));
+  rest.forEach((p) => pairs.push({ prev: p, next: null }));
+
+  const order = { appeared: 0, vanished: 1, changed: 2, same: 3 };
+  return pairs
+    .map(({ prev, next }) => {
+      let status = 'same';
+      if (!prev) status = 'appeared';
+      else if (!next) status = 'vanished';
+      else if (prev.src !== next.src || !!prev.srcdoc !== !!next.srcdoc) status = 'changed';
+      return { status, prev, next };
+    })
+    .sort((x, y) => order[x.status] - order[y.status] || (x.next || x.prev).index - (y.next || y.prev).index);
+}
+
+function initScanSessions() {
+  $('btn-sessions')?.addEventListener('click', () => openScanSessions());
+  $('btn-scan-diff')?.addEventListener('click', () => openScanSessions({ diffCurrent: true }));
+  $('sessions-close').addEventListener('click', closeScanSessions);
+  $('sessions-backdrop').addEventListener('click', closeScanSessions);
+  $('sessions-scope').addEventListener('change', renderScanSessions);
+  $('sessions-clear').addEventListener('click', clearScanSessions);
+  $('scan-diff-back').addEventListener('click', () => {
+    showSessionList();
+    renderScanSessions();
+  });
+  $('replay-exit').addEventListener('click', () => handleScan());
+}
+
+/**
+ * 打开扫描记录
+ * @param {object} [opts]
+ * @param {boolean} [opts.diffCurrent] - 直接显示当前扫描与本页面上一次扫描的差异
+ */
+async function openScanSessions({ diffCurrent = false } = {}) {
+  showSessionList();
+  $('sessions-scope').value = currentPageUrl ? 'page' : 'all';
+
+  if (diffCurrent) {
+    const sessions = await loadScanSessions();
+    const session = sessions.find((s) => s.id === currentSessionId);
+    const prev = session && previousSession(sessions, session);
+    if (prev) showScanDiff(prev, session);
+  }
+  if ($('scan-diff').classList.contains('hidden')) await renderScanSessions();
+  $('sessions-modal').classList.remove('hidden');
+}
+
+function closeScanSessions() {
+  $('sessions-modal').classList.add('hidden');
+}
+
+async function clearScanSessions() {
+  const confirmed = await showConfirm('确认清空所有扫描记录及其中保存的快照？', { title: '清空记录', confirmText: '清空' });
+  if (!confirmed) return;
+  // 与保存共用写入队列，避免排队中的保存把刚清空的记录写回
+  await queueSessionWrite(async () => {
+    const sessions = await loadScanSessions();
+    await chrome.storage.local.remove([SCAN_SESSIONS_KEY, ...sessions.map((s) => scanSnapshotsKey(s.id))]);
+    currentSessionId = null;
+  });
+  updateScanDiffButton();
+  renderScanSessions();
+}
+
+async function deleteScanSession(id) {
+  await queueSessionWrite(async () => {
+    const sessions = await loadScanSessions();
+    await saveScanSessions(sessions.filter((s) => s.id !== id));
+    await chrome.storage.local.remove(scanSnapshotsKey(id));
+    if (id === currentSessionId) currentSessionId = null;
+  });
+  updateScanDiffButton();
+  renderScanSessions();
+}
+
+async function renderScanSessions() {
+  const sessions = await loadScanSessions();
+  const scope = presetScopeOf(currentPageUrl);
+  const visible = $('sessions-scope').value === 'page' ? sessions.filter((s) => s.scope === scope) : sessions;
+  const list = $('sessions-list');
+  $('sessions-clear').disabled = sessions.length === 0;
+
+  if (visible.length === 0) {
+    list.innerHTML = '<li class="rules-empty">还没有扫描记录</li>';
+    return;
+  }
+
+  const activeId = replaySession ? replaySession.id : currentSessionId;
+  list.innerHTML = visible.map((session) => `
+    <li class="rule-item session-item${session.id === activeId ? ' is-current' : ''}" data-id="${escHtml(session.id)}">
+      <div class="rule-main">
+        <div class="rule-name">
+          ${escHtml(formatSessionTime(session.time))} · ${session.iframes.length} 个 iframe${session.id === activeId ? '（当前）' : ''}
+        </div>
+        <div class="rule-summary" title="${escHtml(session.pageUrl)}">${escHtml(session.pageUrl)}</div>
+      </div>
+      <div class="session-actions">
+        <button class="btn btn-sm btn-outline" data-act="replay">回放</button>
+        <button class="btn btn-sm btn-ghost" data-act="diff" title="与本页面上一次扫描对比"${previousSession(sessions, session) ? '' : ' disabled'}>对比上次</button>
+      </div>
+      <button class="icon-btn danger" data-act="delete" title="删除记录">
+        <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M2 2l10 10M12 2 2 12" stroke-linecap="round"/>
+        </svg>
+      </button>
+    </li>`).join('');
+
+  list.querySelectorAll('.session-item').forEach((item) => {
+    const session = sessions.find((s) => s.id === item.dataset.id);
+    item.querySelector('[data-act="replay"]').addEventListener('click', () => replayScanSession(session.id));
+    item.querySelector('[data-act="diff"]').addEventListener('click', () => {
+      showScanDiff(previousSession(sessions, session), session);
+    });
+    item.querySelector('[data-act="delete"]').addEventListener('click', () => deleteScanSession(session.id));
+  });
+}
+
+/** 从差异视图切回记录列表 */
+function showSessionList() {
+  $('sessions-title').textContent = '扫描记录';
+  $('scan-diff').classList.add('hidden');
+  $('scan-diff-back').classList.add('hidden');
+  ['sessions-list', 'sessions-scope', 'sessions-clear'].forEach((id) => $(id).classList.remove('hidden'));
+}
+
+function showScanDiff(prev, next) {
+  const rows = diffScans(prev.iframes, next.iframes);
+  const counts = { appeared: 0, vanished: 0, changed: 0, same: 0 };
+  rows.forEach((row) => { counts[row.status] += 1; });
+
+  $('sessions-title').textContent = '扫描差异';
+  ['sessions-list', 'sessions-scope', 'sessions-clear'].forEach((id) => $(id).classList.add('hidden'));
+  $('scan-diff').classList.remove('hidden');
+  $('scan-diff-back').classList.remove('hidden');
+
+  $('scan-diff-head').innerHTML = `
+    <span class="scan-diff-range">${escHtml(formatSessionTime(prev.time))} → ${escHtml(formatSessionTime(next.time))}</span>
+    ${Object.keys(counts).map((status) => `<span class="diff-${status}">${SCAN_DIFF_LABELS[status]} ${counts[status]}</span>`).join('')}`;
+
+  const list = $('scan-diff-list');
+  if (rows.length === 0) {
+    list.innerHTML = '<li class="rules-empty">两次扫描都没有 iframe</li>';
+    return;
+  }
+
+  const srcLine = (entry, cls) => {
+    const text = entry.srcdoc ? 'srcdoc' : entry.src;
+    return `<code class="history-src${cls}" title="${escHtml(text)}">${escHtml(text)}</code>`;
+  };
+  list.innerHTML = rows.map(({ status, prev: a, next: b }) => {
+    const entry = b || a;
+    return `
+      <li class="scan-diff-item${status === 'same' ? ' is-same' : ''}">
+        <div class="scan-diff-meta">
+          <span class="card-index-badge">${entry.kind.toUpperCase()} #${entry.index}</span>
+          <span class="diff-${status}">${SCAN_DIFF_LABELS[status]}</span>
+          ${status === 'changed' && !a.srcdoc && !b.srcdoc
+            ? `<button class="btn btn-sm btn-outline" data-prev="${escHtml(a.src)}" data-next="${escHtml(b.src)}">地址对比</button>`
+            : ''}
+        </div>
+        ${status === 'changed'
+          ? srcLine(a, ' history-src--old') + srcLine(b, ' history-src--new')
+          : srcLine(entry, status === 'appeared' ? ' history-src--new' : status === 'vanished' ? ' history-src--old' : '')}
+      </li>`;
+  }).join('');
+
+  list.querySelectorAll('[data-prev]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      closeScanSessions();
+      openUrlDiff(btn.dataset.prev, btn.dataset.next);
+    });
+  });
+}
+
+/** 回放一条扫描记录：用当时的 iframe 列表渲染卡片，详情中展示当时保存的快照 */
+async function replayScanSession(id) {
+  const sessions = await loadScanSessions();
+  const session = sessions.find((s) => s.id === id);
+  if (!session) return;
+  const key = scanSnapshotsKey(id);
+  const { [key]: snapshots = {} } = await chrome.storage.local.get(key);
+
+  closeAllOverlays();
+  clearPageIframeHighlight();
+  if (watchPort) toggleWatch();
+
+  replaySession = { ...session, snapshots };
+  iframeList = session.iframes;
+  renderIframeList(iframeList);
+  $('result-count').textContent = iframeList.length;
+  showState(iframeList.length ? 'result' : 'empty');
+
+  document.body.classList.add('is-replay');
+  $('replay-text').textContent = `正在回放 ${formatSessionTime(session.time)} 的扫描 · ${session.pageUrl}`;
+  $('replay-text').title = session.pageUrl;
+  $('replay-banner').classList.remove('hidden');
+}
+
+/** 退出回放状态（由调用方重新扫描或恢复列表），返回之前是否处于回放中 */
+function leaveReplay() {
+  if (!replaySession) return false;
+  replaySession = null;
+  document.body.classList.remove('is-replay');
+  $('replay-banner').classList.add('hidden');
+  return true;
+}
+
+// ===== 地址对比 =====
+/** 差异标记：added 仅 B 有，removed 仅 A 有 */
+const DIFF_MARKS = { same: '', added: '+', removed: '−', changed: '~' };
+
+/**
+ * 拆出地址的各组成部分与查询参数；hash 路由参数（#/page?x=1）以 # 前缀并入参数
+ * 同名参数按出现顺序编号（key、key[2] …），保证逐个对齐
+ */
+function urlDiffFields(rawUrl) {
+  const { base, entries, hash } = parseUrlParams(rawUrl);
+  const { path: hashPath, entries: hashEntries } = splitHash(hash);
+  let url = null;
+  try { url = new URL(base); } catch { /* 非 URL 文本整体作为路径对比 */ }
+
+  const parts = {
+    协议: url ? url.protocol : '',
+    主机: url ? url.hostname : '',
+    端口: url ? url.port : '',
+    路径: url ? url.pathname : base,
+    Hash: hashPath,
+  };
+
+  const params = new Map();
+  const seen = new Map();
+  const add = (key, value) => {
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    params.set(n > 1 ? `${key}[${n}]` : key, value);
+  };
+  entries.forEach(([k, v]) => add(k, v));
+  hashEntries.forEach(([k, v]) => add(`#${k}`, v));
+  return { parts, params };
+}
+
+/**
+ * 逐项对比两个地址
+ * @returns {{ parts: DiffRow[], params: DiffRow[] }}
+ *   DiffRow = { name, a, b, status: 'same'|'added'|'removed'|'changed' }，a / b 为 undefined 表示该侧不存在
+ */
+function diffUrls(urlA, urlB) {
+  const A = urlDiffFields(urlA);
+  const B = urlDiffFields(urlB);
+  const statusOf = (a, b) => {
+    if (a === b) return 'same';
+    if (a === undefined) return 'added';
+    if (b === undefined) return 'removed';
+    return 'changed';
+  };
+
+  const parts = Object.keys(A.parts).map((name) => ({
+    name, a: A.parts[name], b: B.parts[name], status: A.parts[name] === B.parts[name] ? 'same' : 'changed',
+  }));
+  const names = [...A.params.keys(), ...[...B.params.keys()].filter((k) => !A.params.has(k))];
+  const params = names.map((name) => {
+    const a = A.params.get(name);
+    const b = B.params.get(name);
+    return { name, a, b, status: statusOf(a, b) };
+  });
+  return { parts, params };
+}
+
+let urlDiffSourceList = [];  // 打开对比时读取的地址来源，切换下拉框时复用
+
+/** 可供对比的地址来源：当前列表 + 已保存的扫描记录，每项 { id, label, items: [{ label, src }] } */
+async function urlDiffSources() {
+  const toItems = (list) => list
+    .filter((e) => e.src && !e.srcdoc)
+    .map((e) => ({ label: `${e.kind.toUpperCase()} #${e.index} · ${truncate(getDomain(e.src), 28)}`, src: e.src }));
+  const sessions = await loadScanSessions();
+  return [
+    { id: 'current', label: replaySession ? '当前列表（回放）' : '当前扫描', items: toItems(iframeList) },
+    ...sessions.map((session) => ({
+      id   : session.id,
+      label: `${formatSessionTime(session.time)} · ${getDomain(session.pageUrl)}`,
+      items: toItems(session.iframes),
+    })),
+  ];
+}
+
+function urlDiffSide(side) {
+  return document.querySelector(`.url-diff-side[data-side="${side}"]`);
+}
+
+function initUrlDiff() {
+  $('btn-url-diff')?.addEventListener('click', () => openUrlDiff());
+  $('url-diff-close').addEventListener('click', closeUrlDiff);
+  $('url-diff-backdrop').addEventListener('click', closeUrlDiff);
+  $('url-diff-hide-same').addEventListener('change', renderUrlDiff);
+  $('url-diff-copy').addEventListener('click', copyUrlDiff);
+  $('url-diff-swap').addEventListener('click', () => {
+    const a = urlDiffSide('a').querySelector('.url-diff-input');
+    const b = urlDiffSide('b').querySelector('.url-diff-input');
+    [a.value, b.value] = [b.value, a.value];
+    syncUrlDiffItem('a');
+    syncUrlDiffItem('b');
+    renderUrlDiff();
+  });
+
+  ['a', 'b'].forEach((side) => {
+    const el = urlDiffSide(side);
+    el.querySelector('.url-diff-source').addEventListener('change', () => {
+      fillUrlDiffItems(side);
+      const item = el.querySelector('.url-diff-item');
+      if (item.options.length > 1) {
+        item.selectedIndex = 1;
+        el.querySelector('.url-diff-input').value = item.value;
+      }
+      renderUrlDiff();
+    });
+    el.querySelector('.url-diff-item').addEventListener('change', (e) => {
+      if (e.target.value) el.querySelector('.url-diff-input').value = e.target.value;
+      renderUrlDiff();
+    });
+    el.querySelector('.url-diff-input').addEventListener('input', () => {
+      syncUrlDiffItem(side);
+      renderUrlDiff();
+    });
+  });
+}
+
+/** 打开地址对比；srcA 缺省取当前列表第一个 iframe，srcB 缺省取第一个与 A 不同的地址 */
+async function openUrlDiff(srcA = '', srcB = '') {
+  const sources = await urlDiffSources();
+  urlDiffSourceList = sources;
+  const current = sources[0].items.map((item) => item.src);
+  const a = srcA || current[0] || '';
+  const b = srcB || current.find((src) => src !== a) || '';
+
+  ['a', 'b'].forEach((side) => {
+    const el = urlDiffSide(side);
+    const value = side === 'a' ? a : b;
+    // 默认选中包含该地址的来源
+    const owner = sources.find((source) => source.items.some((item) => item.src === value)) || sources[0];
+    el.querySelector('.url-diff-source').innerHTML = sources
+      .map((source) => `<option value="${escHtml(source.id)}">${escHtml(source.label)}（${source.items.length}）</option>`)
+      .join('');
+    el.querySelector('.url-diff-source').value = owner.id;
+    el.querySelector('.url-diff-input').value = value;
+    fillUrlDiffItems(side);
+    syncUrlDiffItem(side);
+  });
+
+  renderUrlDiff();
+  $('url-diff-modal').classList.remove('hidden');
+}
+
+function closeUrlDiff() {
+  $('url-diff-modal').classList.add('hidden');
+}
+
+/** 按所选来源填充 iframe 下拉框 */
+function fillUrlDiffItems(side) {
+  const el = urlDiffSide(side);
+  const source = urlDiffSourceList.find((s) => s.id === el.querySelector('.url-diff-source').value);
+  el.querySelector('.url-diff-item').innerHTML = '<option value="">自定义地址</option>' +
+    (source?.items || [])
+      .map((item) => `<option value="${escHtml(item.src)}" title="${escHtml(item.src)}">${escHtml(item.label)}</option>`)
+      .join('');
+}
+
+/** 输入框内容与某个 iframe 地址一致时选中它，否则显示「自定义地址」 */
+function syncUrlDiffItem(side) {
+  const el = urlDiffSide(side);
+  const select = el.querySelector('.url-diff-item');
+  const value = el.querySelector('.url-diff-input').value.trim();
+  select.value = [...select.options].some((opt) => opt.value === value) ? value : '';
+}
+
+function readUrlDiffInputs() {
+  return ['a', 'b'].map((side) => urlDiffSide(side).querySelector('.url-diff-input').value.trim());
+}
+
+/** 路径按段对比，两侧位置不同的段加高亮 */
+function markPathSegments(path, other) {
+  const theirs = (other || '').split('/');
+  return path.split('/')
+    .map((seg, i) => (seg !== theirs[i] && seg ? `<mark>${escHtml(seg)}</mark>` : escHtml(seg)))
+    .join('/');
+}
+
+function renderUrlDiff() {
+  const [urlA, urlB] = readUrlDiffInputs();
+  const result = $('url-diff-result');
+  const summary = $('url-diff-summary');
+  $('url-diff-copy').disabled = !urlA || !urlB;
+
+  if (!urlA || !urlB) {
+    summary.innerHTML = '';
+    result.innerHTML = '<div class="url-diff-empty">选择或粘贴两个地址开始对比</div>';
+    return;
+  }
+
+  const { parts, params } = diffUrls(urlA, urlB);
+  const counts = { added: 0, removed: 0, changed: 0, same: 0 };
+  [...parts, ...params].forEach((row) => { counts[row.status] += 1; });
+  summary.innerHTML = `
+    <span class="diff-added">+${counts.added} 新增</span>
+    <span class="diff-removed">−${counts.removed} 移除</span>
+    <span class="diff-changed">~${counts.changed} 变化</span>
+    <span class="diff-same">${counts.same} 相同</span>`;
+
+  const hideSame = $('url-diff-hide-same').checked;
+  const cell = (value, html = escHtml(value)) => (value === undefined || value === ''
+    ? `<td class="cell-val cell-empty">${value === undefined ? '不存在' : '空'}</td>`
+    : `<td class="cell-val" title="${escHtml(value)}">${html}</td>`);
+  const rowHtml = ({ name, a, b, status }) => {
+    const isPath = name === '路径' && status === 'changed';
+    return `
+      <tr class="diff-${status}">
+        <td><span class="diff-mark">${DIFF_MARKS[status]}</span>${escHtml(name)}</td>
+        ${cell(a, isPath ? markPathSegments(a, b) : undefined)}
+        ${cell(b, isPath ? markPathSegments(b, a) : undefined)}
+      </tr>`;
+  };
+  const group = (title, rows) => {
+    const visible = hideSame ? rows.filter((row) => row.status !== 'same') : rows;
+    const hidden = rows.length - visible.length;
+    return `<tr class="diff-group"><td colspan="3">${title}${hidden ? `（${hidden} 项相同已隐藏）` : ''}</td></tr>` +
+      visible.map(rowHtml).join('');
+  };
+
+  result.innerHTML = `
+    <table class="url-diff-table">
+      <colgroup><col class="col-name"/><col/><col/></colgroup>
+      <thead><tr><th>项</th><th>A</th><th>B</th></tr></thead>
+      <tbody>
+        ${group('地址', parts)}
+        ${group(`查询参数（${params.length}）`, params)}
+      </tbody>
+    </table>`;
+}
+
+/** 复制文本形式的差异，便于贴到工单 / 聊天中 */
+function copyUrlDiff() {
+  const [urlA, urlB] = readUrlDiffInputs();
+  if (!urlA || !urlB) return;
+  const { parts, params } = diffUrls(urlA, urlB);
+  const lines = [`A: ${urlA}`, `B: ${urlB}`, ''];
+  [...parts, ...params].filter((row) => row.status !== 'same').forEach(({ name, a, b, status }) => {
+    if (status === 'added')        lines.push(`+ ${name}=${b}`);
+    else if (status === 'removed') lines.push(`- ${name}=${a}`);
+    else                           lines.push(`~ ${name}: ${a} → ${b}`);
+  });
+  if (lines.length === 3) lines.push('（两个地址相同）');
+  copyText(lines.join('\n'));
+}
+
+// ===== 参数预设 =====
+/**
+ * 预设库存于 chrome.storage.local，按 iframe 的 origin + path 分组：
+ * { [scope]: [{ name, params: [[key, value], ...], updatedAt }] }
+ */
+const PRESET_STORAGE_KEY = 'paramPresets';
+
+/** 预设作用域：origin + path；无法解析或无 origin（about:blank、data: 等）时返回空串 */
+function presetScopeOf(url) {
+  try {
+    const u = new URL(url);
+    return u.origin === 'null' ? '' : u.origin + u.pathname;
+  } catch {
+    return '';
+  }
+}
+
+async function loadPresetLibrary() {
+  const { [PRESET_STORAGE_KEY]: library } = await chrome.storage.local.get(PRESET_STORAGE_KEY);
+  return library || {};
+}
+
+function savePresetLibrary(library) {
+  return chrome.storage.local.set({ [PRESET_STORAGE_KEY]: library });
+}
+
+/**
+ * 合并 / 替换参数
+ * - replace：直接使用预设参数
+ * - merge  ：同名参数以预设为准（预设参数插入到第一个同名参数的位置），其余参数保留
+ */
+function applyPresetParams(current, preset, mode) {
+  if (mode === 'replace') return preset.map(([k, v]) => [k, v]);
+  const presetKeys = new Set(preset.map(([k]) => k));
+  const result = [];
+  let inserted = false;
+  current.forEach(([k, v]) => {
+    if (!presetKeys.has(k)) {
+      result.push([k, v]);
+    } else if (!inserted) {
+      result.push(...preset);
+      inserted = true;
+    }
+  });
+  if (!inserted) result.push(...preset);
+  return result;
+}
+
+/** 卡片作为预设读写目标 */
+function cardPresetTarget(card) {
+  const originalSrc = card.dataset.originalSrc;
+  return {
+    scope: presetScopeOf(originalSrc),
+    getParams: () => readCardParams(card),
+    setParams: (entries) => setCardParams(card, entries, originalSrc),
+  };
+}
+
+/** 参数面板作为预设读写目标（编辑结果会同步到卡片） */
+function paramsPanelPresetTarget() {
+  return {
+    scope: presetScopeOf(peOriginalSrc),
+    getParams: readEditorParams,
+    setParams: (entries) => {
+      renderParamRows(entries);
+      refreshResultUrl();
+    },
+  };
+}
+
+function closePresetMenu() {
+  $('preset-menu').classList.add('hidden');
+}
+
+/** 在触发按钮下方打开预设菜单 */
+async function openPresetMenu(anchor, target) {
+  const menu = $('preset-menu');
+  if (!target?.scope) {
+    showToast('该地址不支持参数预设', 'error');
+    return;
+  }
+
+  const library = await loadPresetLibrary();
+  const presets = library[target.scope] || [];
+
+  menu.innerHTML = `
+    <div class="preset-menu-head">
+      <span class="preset-menu-title">参数预设</span>
+      <code class="preset-menu-scope" title="${escHtml(target.scope)}">${escHtml(target.scope)}</code>
+    </div>
+    <div class="preset-list">
+      ${presets.length === 0 ? '<div class="preset-empty">该地址暂无预设</div>' : presets.map((p, i) => `
+        <div class="preset-item" data-i="${i}">
+          <span class="preset-name" title="${escHtml(p.params.map(([k, v]) => `${k}=${v}`).join('\n'))}">${escHtml(p.name)}</span>
+          <span class="tab-count">${p.params.length}</span>
+          <button class="preset-action" data-act="merge" title="同名参数以预设为准，其余保留">合并</button>
+          <button class="preset-action" data-act="replace" title="清空现有参数后使用预设">替换</button>
+          <button class="icon-btn danger" data-act="delete" title="删除预设">
+            <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M2 2l10 10M12 2 2 12" stroke-linecap="round"/>
+            </svg>
+          </button>
+        </div>`).join('')}
+    </div>
+    <div class="preset-menu-foot">
+      <button class="dropdown-item" data-act="save">保存当前参数为预设…</button>
+      <button class="dropdown-item" data-act="export">导出预设库（JSON）</button>
+      <button class="dropdown-item" data-act="import">导入预设库…</button>
+    </div>`;
+
+  menu.onclick = async (e) => {
+    e.stopPropagation();
+    const btn = e.target.closest('[data-act]');
+    if (!btn) return;
+    const preset = presets[Number(btn.closest('.preset-item')?.dataset.i)];
+    closePresetMenu();
+
+    switch (btn.dataset.act) {
+      case 'merge':
+      case 'replace':
+        target.setParams(applyPresetParams(target.getParams(), preset.params, btn.dataset.act));
+        showToast(`已应用预设「${preset.name}」`, 'success');
+        break;
+      case 'delete':
+        await deletePreset(target.scope, preset.name);
+        break;
+      case 'save':
+        await saveCurrentAsPreset(target);
+        break;
+      case 'export':
+        await exportPresetLibrary();
+        break;
+      case 'import':
+        $('preset-import-file').click();
+        break;
+    }
+  };
+
+  // 定位：优先显示在按钮下方右对齐，超出视口时翻到上方 / 贴边
+  menu.classList.remove('hidden');
+  const rect = anchor.getBoundingClientRect();
+  const { width, height } = menu.getBoundingClientRect();
+  const left = Math.min(Math.max(4, rect.right - width), window.innerWidth - width - 4);
+  const top  = rect.bottom + 4 + height > window.innerHeight ? Math.max(4, rect.top - height - 4) : rect.bottom + 4;
+  menu.style.left = `${left}px`;
+  menu.style.top  = `${top}px`;
+}
+
+async function saveCurrentAsPreset(target) {
+  const params = target.getParams();
+  if (params.length === 0) {
+    showToast('当前没有可保存的参数', 'error');
+    return;
+  }
+  const name = await showPrompt(
+    `将当前 <strong>${params.length}</strong> 个参数保存为预设，适用于 <code>${escHtml(target.scope)}</code>`,
+    { title: '保存预设', confirmText: '保存', placeholder: '预设名称，如 debug-staging' }
+  );
+  if (!name) return;
+
+  const library = await loadPresetLibrary();
+  const presets = library[target.scope] || [];
+  const existing = presets.findIndex((p) => p.name === name);
+  if (existing >= 0) {
+    const confirmed = await showConfirm(
+      `预设 <strong>${escHtml(name)}</strong> 已存在，是否覆盖？`,
+      { title: '覆盖预设', confirmText: '覆盖', confirmClass: 'btn-warning', icon: 'reload' }
+    );
+    if (!confirmed) return;
+    presets.splice(existing, 1);
+  }
+  presets.push({ name, params, updatedAt: Date.now() });
+  library[target.scope] = presets;
+  await savePresetLibrary(library);
+  showToast(`已保存预设「${name}」`, 'success');
+}
+
+async function deletePreset(scope, name) {
+  const confirmed = await showConfirm(`确认删除预设 <strong>${escHtml(name)}</strong> ？`);
+  if (!confirmed) return;
+  const library = await loadPresetLibrary();
+  library[scope] = (library[scope] || []).filter((p) => p.name !== name);
+  if (library[scope].length === 0) delete library[scope];
+  await savePresetLibrary(library);
+  showToast('预设已删除', 'success');
+}
+
+async function exportPresetLibrary() {
+  const library = await loadPresetLibrary();
+  const payload = { version: 1, exportedAt: new Date().toISOString(), presets: library };
+  const date = new Date().toISOString().slice(0, 10);
+  downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `iframe-param-presets_${date}.json`);
+}
+
+/** 校验导入文件结构，返回 { scope: presets[] } */
+function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('不是有效的 JSON 文件');
+  }
+  const library = data?.presets;
+  if (!library || typeof library !== 'object' || Array.isArray(library)) {
+    throw new Error('预设文件格式不正确');
+  }
+  Object.values(library).forEach((presets) => {
+    const valid = Array.isArray(presets) && presets.every((p) =>
+      typeof p?.name === 'string' &&
+      Array.isArray(p.params) &&
+      p.params.every((e) => Array.isArray(e) && e.length === 2 && e.every((x) => typeof x === 'string'))
+    );
+    if (!valid) throw new Error('预设文件格式不正确');
+  });
+  return library;
+}
+
+/** 导入预设库：按作用域合并，同名预设以导入文件为准 */
+async function importPresetLibrary(file) {
+  try {
+    const incoming = parsePresetFile(await file.text());
+    const library = await loadPresetLibrary();
+    let count = 0;
+    Object.entries(incoming).forEach(([scope, presets]) => {
+      const names = new Set(presets.map((p) => p.name));
+      library[scope] = [
+        ...(library[scope] || []).filter((p) => !names.has(p.name)),
+        ...presets.map(({ name, params, updatedAt }) => ({ name, params, updatedAt: updatedAt || Date.now() })),
+      ];
+      count += presets.length;
+    });
+    await savePresetLibrary(library);
+    showToast(`已导入 ${count} 个预设`, 'success');
+  } catch (err) {
+    showToast(`导入失败：${err.message}`, 'error');
+  }
+}
+
+// ===== 地址改写历史 =====
+/**
+ * 每个 tab 一份，存于 chrome.storage.session（浏览器关闭即清空，tab 关闭时由 background.js 清理）：
+ * [{ id, time, uid, kind, frameId, locator, oldSrc, newSrc, reverted }]
+ * reverted 为 true 表示已还原为 oldSrc，可再次「恢复」为 newSrc
+ */
+const SRC_HISTORY_LIMIT = 100;
+
+const srcHistoryKey = (tabId) => `srcHistory:${tabId}`;
+
+async function loadSrcHistory(tabId = currentTabId) {
+  const key = srcHistoryKey(tabId);
+  const { [key]: history } = await chrome.storage.session.get(key);
+  return history || [];
+}
+
+function saveSrcHistory(history, tabId = currentTabId) {
+  return chrome.storage.session.set({ [srcHistoryKey(tabId)]: history });
+}
+
+let srcHistoryQueue = Promise.resolve();
+
+/** 串行读改写历史，避免连续改写（如规则批量应用）的并发写入互相覆盖；update 返回新的历史数组 */
+function updateSrcHistory(update, tabId = currentTabId) {
+  const run = srcHistoryQueue.then(async () => {
+    const history = await loadSrcHistory(tabId);
+    await saveSrcHistory(update(history), tabId);
+  });
+  srcHistoryQueue = run.catch(() => {});
+  return run;
+}
+
+function recordSrcChange(entry, oldSrc, newSrc) {
+  if (oldSrc === newSrc || currentTabId == null) return Promise.resolve();
+  return updateSrcHistory((history) => [{
+    id      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    time    : Date.now(),
+    uid     : entry.uid,
+    kind    : entry.kind,
+    frameId : entry.frameId,
+    locator : entry.locator,
+    oldSrc,
+    newSrc,
+    reverted: false,
+  }, ...history].slice(0, SRC_HISTORY_LIMIT));
+}
+
+async function openSrcHistory() {
+  await renderSrcHistory();
+  $('history-modal').classList.remove('hidden');
+}
+
+function closeSrcHistory() {
+  $('history-modal').classList.add('hidden');
+}
+
+async function clearSrcHistory() {
+  const confirmed = await showConfirm('确认清空当前标签页的改写历史？页面中的 iframe 不受影响。', { title: '清空历史', confirmText: '清空' });
+  if (!confirmed) return;
+  await updateSrcHistory(() => []);
+  renderSrcHistory();
+}
+
+async function renderSrcHistory() {
+  const history = await loadSrcHistory();
+  const list = $('history-list');
+  $('history-clear').disabled = history.length === 0;
+
+  if (history.length === 0) {
+    list.innerHTML = '<li class="rules-empty">当前标签页还没有地址改写记录</li>';
+    return;
+  }
+
+  list.innerHTML = history.map((item) => {
+    const current = iframeList.find((e) => e.uid === item.uid);
+    const label = current ? `${item.kind.toUpperCase()} #${current.index}` : item.kind.toUpperCase();
+    return `
+      <li class="history-item${item.reverted ? ' is-reverted' : ''}" data-id="${escHtml(item.id)}">
+        <div class="history-meta">
+          <span class="card-index-badge">${escHtml(label)}</span>
+          <span class="history-time">${new Date(item.time).toLocaleTimeString()}</span>
+          ${item.reverted ? '<span class="history-state">已还原</span>' : ''}
+          <button class="btn btn-sm btn-outline history-action">${item.reverted ? '恢复' : '还原'}</button>
+        </div>
+        <code class="history-src history-src--old" title="${escHtml(item.oldSrc)}">− ${escHtml(item.oldSrc)}</code>
+        <code class="history-src history-src--new" title="${escHtml(item.newSrc)}">+ ${escHtml(item.newSrc)}</code>
+      </li>`;
+  }).join('');
+
+  list.querySelectorAll('.history-action').forEach((btn) => {
+    btn.addEventListener('click', () => toggleSrcHistoryItem(btn.closest('.history-item').dataset.id, btn));
+  });
+}
+
+/** 还原（写回 oldSrc）或恢复（重新写入 newSrc）一条改写记录 */
+async function toggleSrcHistoryItem(id, btn) {
+  // 回放中的列表是历史扫描结果，不能据此改写当前页面
+  if (replaySession) return;
+  const history = await loadSrcHistory();
+  const item = history.find((h) => h.id === id);
+  if (!item) return;
+
+  const url = item.reverted ? item.newSrc : item.oldSrc;
+  // 重新扫描后 frameId 可能变化，优先使用最新扫描结果
+  const index = iframeList.findIndex((e) => e.uid === item.uid);
+  const target = index >= 0 ? iframeList[index] : item;
+
+  btn.disabled = true;
+  try {
+    await setElementSrc(target, url);
+  } catch (err) {
+    showToast(err.message === ELEMENT_GONE ? ELEMENT_GONE : '写入失败', 'error');
+    btn.disabled = false;
+    return;
+  }
+
+  const reverted = !item.reverted;
+  await updateSrcHistory((latest) => latest.map((h) => (h.id === id ? { ...h, reverted } : h)));
+  if (index >= 0) {
+    iframeList[index] = { ...iframeList[index], src: url };
+    refreshCardForEntry(iframeList[index]);
+  }
+  showToast(reverted ? '已还原 iframe 地址' : '已恢复 iframe 地址', 'success');
+  renderSrcHistory();
+}
+
+/** 地址被改写后重建对应卡片，使参数编辑区与页面一致 */
+function refreshCardForEntry(entry) {
+  const node = document.querySelector(`.iframe-node[data-uid="${CSS.escape(entry.uid)}"]`);
+  const card = node?.querySelector(':scope > .iframe-card');
+  if (!card) return;
+  const fresh = createIframeCard(entry);
+  card.replaceWith(fresh);
+  refreshChildToggles($('iframe-list'));
+}
+
+// ===== 参数覆盖规则 =====
+/** 规则由 background.js 在页面导航时读取并应用，结构见 background.js */
+const RULES_STORAGE_KEY = 'overrideRules';
+
+const RULE_OP_LABELS = { set: '设置', remove: '删除', rename: '重命名' };
+
+let editingRuleId = null;  // 正在编辑的规则 id，null 表示新建
+
+async function loadRules() {
+  const { [RULES_STORAGE_KEY]: rules } = await chrome.storage.local.get(RULES_STORAGE_KEY);
+  return rules || [];
+}
+
+function saveRules(rules) {
+  return chrome.storage.local.set({ [RULES_STORAGE_KEY]: rules });
+}
+
+function describeRuleOp({ type, key, value, to }) {
+  if (type === 'set')    return `${key}=${value}`;
+  if (type === 'remove') return `-${key}`;
+  return `${key}→${to}`;
+}
+
+function initRulesManager() {
+  $('btn-rules')?.addEventListener('click', openRulesManager);
+  $('rules-close').addEventListener('click', closeRulesManager);
+  $('rules-backdrop').addEventListener('click', closeRulesManager);
+  $('rules-add').addEventListener('click', () => openRuleForm(null));
+  $('rule-cancel').addEventListener('click', closeRuleForm);
+  $('rule-add-op').addEventListener('click', () => addRuleOpRow());
+  $('rule-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitRuleForm();
+  });
+}
+
+async function openRulesManager() {
+  closeRuleForm();
+  await renderRulesList();
+  $('rules-modal').classList.remove('hidden');
+}
+
+function closeRulesManager() {
+  $('rules-modal').classList.add('hidden');
+}
+
+async function renderRulesList() {
+  const rules = await loadRules();
+  const list = $('rules-list');
+
+  if (rules.length === 0) {
+    list.innerHTML = '<li class="rules-empty">暂无规则，点击「新建规则」添加</li>';
+    return;
+  }
+
+  list.innerHTML = rules.map((rule) => `
+    <li class="rule-item${rule.enabled ? '' : ' is-disabled'}" data-id="${escHtml(rule.id)}">
+      <label class="rule-switch" title="启用 / 停用">
+        <input type="checkbox" data-act="toggle"${rule.enabled ? ' checked' : ''} />
+      </label>
+      <div class="rule-main">
+        <div class="rule-name">${escHtml(rule.name || '未命名规则')}</div>
+        <div class="rule-summary" title="${escHtml(`页面：${rule.pagePattern || '所有页面'}\niframe：${rule.srcPattern}`)}">
+          ${escHtml(rule.srcPattern)} · ${escHtml(rule.ops.map(describeRuleOp).join(', '))}
+        </div>
+      </div>
+      <button class="icon-btn" data-act="edit" title="编辑规则">
+        <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.8">
+          <path d="M2 12h2.5L12 4.5 9.5 2 2 9.5z" stroke-linejoin="round"/>
+        </svg>
+      </button>
+      <button class="icon-btn danger" data-act="delete" title="删除规则">
+        <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M2 2l10 10M12 2 2 12" stroke-linecap="round"/>
+        </svg>
+      </button>
+    </li>`).join('');
+
+  list.querySelectorAll('.rule-item').forEach((item) => {
+    const rule = rules.find((r) => r.id === item.dataset.id);
+    item.querySelector('[data-act="toggle"]').addEventListener('change', async (e) => {
+      rule.enabled = e.target.checked;
+      item.classList.toggle('is-disabled', !rule.enabled);
+      await saveRules(rules);
+    });
+    item.querySelector('[data-act="edit"]').addEventListener('click', () => openRuleForm(rule));
+    item.querySelector('[data-act="delete"]').addEventListener('click', async () => {
+      const confirmed = await showConfirm(`确认删除规则 <strong>${escHtml(rule.name || rule.srcPattern)}</strong> ？`);
+      if (!confirmed) return;
+      await saveRules(rules.filter((r) => r.id !== rule.id));
+      renderRulesList();
+    });
+  });
+}
+
+/** 打开规则表单；rule 为空时新建 */
+function openRuleForm(rule) {
+  editingRuleId = rule?.id ?? null;
+  $('rule-name').value = rule?.name ?? '';
+  $('rule-page').value = rule?.pagePattern ?? '';
+  $('rule-src').value  = rule?.srcPattern ?? '';
+  $('rule-ops').innerHTML = '';
+  (rule?.ops?.length ? rule.ops : [{ type: 'set', key: '', value: '' }]).forEach(addRuleOpRow);
+  $('rule-form-error').classList.add('hidden');
+
+  $('rules-list').classList.add('hidden');
+  $('rules-actions').classList.add('hidden');
+  $('rules-add').disabled = true;
+  $('rule-form').classList.remove('hidden');
+  $('rule-name').focus();
+}
+
+function closeRuleForm() {
+  editingRuleId = null;
+  $('rule-form').classList.add('hidden');
+  $('rules-list').classList.remove('hidden');
+  $('rules-actions').classList.remove('hidden');
+  $('rules-add').disabled = false;
+}
+
+function addRuleOpRow(op = { type: 'set', key: '', value: '' }) {
+  const row = document.createElement('div');
+  row.className = 'rule-op';
+  row.innerHTML = `
+    <select class="rule-op-type">
+      ${Object.entries(RULE_OP_LABELS).map(([type, label]) =>
+        `<option value="${type}"${type === op.type ? ' selected' : ''}>${label}</option>`).join('')}
+    </select>
+    <input class="rule-op-key" type="text" placeholder="参数名" value="${escHtml(op.key)}" spellcheck="false" />
+    <input class="rule-op-arg" type="text" spellcheck="false" />
+    <button type="button" class="icon-btn danger" title="删除此操作">
+      <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M2 2l10 10M12 2 2 12" stroke-linecap="round"/>
+      </svg>
+    </button>`;
+
+  const typeSel = row.querySelector('.rule-op-type');
+  const argInput = row.querySelector('.rule-op-arg');
+  argInput.value = (op.type === 'rename' ? op.to : op.value) ?? '';
+
+  // 第二个输入框：设置时为参数值，重命名时为新参数名，删除时隐藏
+  const syncArg = () => {
+    argInput.classList.toggle('hidden', typeSel.value === 'remove');
+    argInput.placeholder = typeSel.value === 'rename' ? '新参数名' : '参数值';
+  };
+  typeSel.addEventListener('change', syncArg);
+  syncArg();
+
+  row.querySelector('.icon-btn').addEventListener('click', () => row.remove());
+  $('rule-ops').appendChild(row);
+}
+
+/** 读取并校验表单，返回错误信息或规则对象 */
+function readRuleForm() {
+  const srcPattern = $('rule-src').value.trim();
+  if (!srcPattern) return { error: '请填写 iframe 地址模式' };
+
+  const ops = [];
+  for (const row of $('rule-ops').querySelectorAll('.rule-op')) {
+    const type = row.querySelector('.rule-op-type').value;
+    const key  = row.querySelector('.rule-op-key').value.trim();
+    const arg  = row.querySelector('.rule-op-arg').value;
+    if (!key) return { error: '参数名不能为空' };
+    if (type === 'set')    ops.push({ type, key, value: arg });
+    if (type === 'remove') ops.push({ type, key });
+    if (type === 'rename') {
+      if (!arg.trim()) return { error: `请填写「${key}」的新参数名` };
+      ops.push({ type, key, to: arg.trim() });
+    }
+  }
+  if (ops.length === 0) return { error: '至少需要一个参数操作' };
+
+  return {
+    rule: {
+      name       : $('rule-name').value.trim(),
+      pagePattern: $('rule-page').value.trim(),
+      srcPattern,
+      ops,
+    },
+  };
+}
+
+async function submitRuleForm() {
+  const { error, rule } = readRuleForm();
+  if (error) {
+    $('rule-form-error').textContent = error;
+    $('rule-form-error').classList.remove('hidden');
+    return;
+  }
+
+  const rules = await loadRules();
+  const existing = rules.find((r) => r.id === editingRuleId);
+  if (existing) {
+    Object.assign(existing, rule);
+  } else {
+    rules.push({ id: `rule-${Date.now().toString(36)}`, enabled: true, ...rule });
+  }
+  await saveRules(rules);
+  closeRuleForm();
+  renderRulesList();
+  showToast('规则已保存，下次页面加载时生效', 'success');
+}
+
+/** 显示 toast（兼容旧调用） */
+function showToast(msg, type = '') {
+  const tip = $('copy-tip');
+  tip.textContent = msg;
+  tip.className = `copy-tip${type === 'error' ? ' tip-error' : ''}`;
+  tip.classList.remove('hidden');
+  clearTimeout(window._toastTimer);
+  window._toastTimer = setTimeout(() => tip.classList.add('hidden'), 1800);
+}
+
+// ===== 安全审计 =====
+/** 严重程度，按数组顺序由高到低 */
+const AUDIT_LEVELS = { high: '高危', medium: '中危', low: '低危' };
+const AUDIT_ORDER = Object.keys(AUDIT_LEVELS);
+
+/** 涉及设备、隐私或支付的权限策略特性 */
+const SENSITIVE_FEATURES = new Set([
+  'camera', 'microphone', 'geolocation', 'display-capture', 'payment', 'usb', 'serial', 'hid',
+  'bluetooth', 'midi', 'clipboard-read', 'clipboard-write', 'publickey-credentials-get', 'local-fonts',
+]);
+
+/**
+ * 解析 allow 属性：「特性 允许列表; …」，未写允许列表时默认为 'src'
+ * @returns {{ feature: string, allowlist: string[] }[]}
+ */
+function parseAllowAttr(allow) {
+  return (allow || '').split(';').map((d) => d.trim()).filter(Boolean).map((directive) => {
+    const [feature, ...allowlist] = directive.split(/\s+/);
+    return { feature: feature.toLowerCase(), allowlist: allowlist.length ? allowlist : ["'src'"] };
+  });
+}
+
+/** 粗略的站点：主机名最后两段（不含公共后缀表，co.uk 之类的后缀会被视为同站） */
+function siteOf(hostname) {
+  if (/^[\d.]+$/.test(hostname) || hostname.startsWith('[')) return hostname;
+  return hostname.split('.').slice(-2).join('.');
+}
+
+/**
+ * 检查 iframe 的安全配置，按严重程度降序返回发现的问题
+ * frame / embed / object 没有这些属性，只检查混合内容
+ * @returns {{ level: 'high'|'medium'|'low', title: string, detail: string }[]}
+ */
+function auditIframe(iframe) {
+  const findings = [];
+  const add = (level, title, detail) => findings.push({ level, title, detail });
+
+  let srcUrl = null;
+  try { if (iframe.src && !iframe.srcdoc) srcUrl = new URL(iframe.src); } catch { /* 非法地址不参与检查 */ }
+  let docUrl = null;
+  try { if (iframe.docOrigin && iframe.docOrigin !== 'null') docUrl = new URL(iframe.docOrigin); } catch { /* 旧扫描记录没有 docOrigin */ }
+
+  if (srcUrl?.protocol === 'http:' && docUrl?.protocol === 'https:') {
+    add('high', '混合内容', 'HTTPS 页面通过 http: 加载 iframe，内容可被中间人篡改，浏览器也可能直接拦截');
+  }
+
+  const sec = iframe.security;
+  if (sec) {
+    const sandbox = sec.sandbox === null ? null : sec.sandbox.toLowerCase().split(/\s+/).filter(Boolean);
+    if (sandbox?.includes('allow-scripts') && sandbox.includes('allow-same-origin')) {
+      // srcdoc / about:blank 继承父文档的源
+      const sameOrigin = !srcUrl || srcUrl.origin === docUrl?.origin;
+      add(
+        sameOrigin ? 'high' : 'medium',
+        '沙箱可被绕过',
+        sameOrigin
+          ? '同时允许 allow-scripts 与 allow-same-origin，同源内容可用脚本移除自身的 sandbox 属性，沙箱形同虚设'
+          : '同时允许 allow-scripts 与 allow-same-origin，iframe 内脚本保留其来源的 Cookie 与存储访问，沙箱只剩导航 / 弹窗限制',
+      );
+    }
+    if (!sandbox && srcUrl && docUrl && siteOf(srcUrl.hostname) !== siteOf(docUrl.hostname)) {
+      add('medium', '第三方内容未启用沙箱', `${srcUrl.hostname} 与页面不属于同一站点，未设置 sandbox 时可运行脚本、打开弹窗并导航顶层页面`);
+    }
+
+    parseAllowAttr(sec.allow).forEach(({ feature, allowlist }) => {
+      const wildcard = allowlist.includes('*');
+      if (SENSITIVE_FEATURES.has(feature)) {
+        add(
+          wildcard ? 'high' : 'medium',
+          `授予敏感权限 ${feature}`,
+          wildcard
+            ? `allow 中 ${feature} 的允许列表为 *，iframe 导航到任意来源后仍可使用`
+            : `allow 允许 iframe 使用 ${feature}，请确认嵌入来源可信`,
+        );
+      } else if (wildcard) {
+        add('low', `权限 ${feature} 对任意来源开放`, `allow 中 ${feature} 的允许列表为 *，iframe 导航到其他来源后仍保留该权限`);
+      }
+    });
+  }
+
+  return findings.sort((a, b) => AUDIT_ORDER.indexOf(a.level) - AUDIT_ORDER.indexOf(b.level));
+}
+
+function renderAuditList(iframe) {
+  const findings = auditIframe(iframe);
+  if (findings.length === 0) {
+    $('info-audit').innerHTML = iframe.security
+      ? '<div class="audit-ok">安全审计：未发现风险配置</div>'
+      : '';
+    return;
+  }
+  $('info-audit').innerHTML = auditItemsHtml(findings);
+}
+
+/** 审计 / 响应检查结果列表，level 决定左侧色条与标签 */
+function auditItemsHtml(findings, labels = AUDIT_LEVELS) {
+  return findings.map((f) => `
+    <div class="audit-item audit-item--${f.level}">
+      <span class="card-audit-badge card-audit-badge--${f.level}">${labels[f.level]}</span>
+      <div>
+        <div class="audit-title">${escHtml(f.title)}</div>
+        <div class="audit-detail">${escHtml(f.detail)}</div>
+      </div>
+    </div>`).join('');
+}
+
+// ===== 响应头检查 =====
+/** 子 frame 响应由 background.js 记录，结构见 background.js；扩展页面内的预览 iframe 记在 tabId -1 下 */
+const frameResponsesKey = (tabId) => `frameResponses:${tabId}`;
+/** background.js 只记录带此标记的 tab：扫描时标记当前页面，预览弹窗打开期间标记 -1 */
+const responseCaptureKey = (tabId) => `responseCapture:${tabId}`;
+
+function enableResponseCapture(tabId) {
+  return chrome.storage.session.set({ [responseCaptureKey(tabId)]: true });
+}
+
+/** 响应检查结论：block 表示浏览器会拒绝渲染 */
+const FRAMING_LEVELS = { high: '拒绝', medium: '异常', low: '提示' };
+
+const NETWORK_SCHEMES = ['http:', 'https:', 'ws:', 'wss:'];
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443' };
+
+async function loadFrameResponses(tabId) {
+  const key = frameResponsesKey(tabId);
+  const { [key]: records } = await chrome.storage.session.get(key);
+  return records || [];
+}
+
+/** iframe 当前文档对应的响应：优先按子 frame ID 取最近一次导航，拿不到 frameId 时按地址匹配 */
+function findFrameResponse(records, iframe) {
+  if (iframe.childFrameId >= 0) {
+    const hit = records.find((r) => r.frameId === iframe.childFrameId);
+    if (hit) return hit;
+  }
+  return records.find((r) => r.url === iframe.src || r.finalUrl === iframe.src) || null;
+}
+
+/** 协议是否匹配；CSP 允许 http 源表达式匹配升级后的 https */
+function schemeMatches(expected, actual) {
+  return expected === actual || (expected === 'http:' && actual === 'https:') || (expected === 'ws:' && actual === 'wss:');
+}
+
+/**
+ * 嵌入方是否命中 frame-ancestors 源列表（CSP3 源表达式的常用部分：'none' / 'self' / * / scheme: / host-source）
+ * @param {string} sourceList
+ * @param {URL} embedder - 嵌入方 origin
+ * @param {URL} self     - 被嵌入文档（重定向后的最终地址）
+ */
+function frameAncestorsAllow(sourceList, embedder, self) {
+  return sourceList.split(/\s+/).filter(Boolean).some((token) => {
+    const t = token.toLowerCase();
+    if (t === "'none'") return false;
+    if (t === "'self'") return embedder.origin === self.origin;
+    if (t === '*') return NETWORK_SCHEMES.includes(embedder.protocol) || embedder.protocol === self.protocol;
+    if (/^[a-z][a-z0-9+.-]*:$/.test(t)) return schemeMatches(t, embedder.protocol);
+
+    const m = t.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*|\*\.[^:/]+|[^:/*]+)(?::(\d+|\*))?(?:\/.*)?$/);
+    if (!m) return false;
+    const [, scheme, host, port] = m;
+    if (!schemeMatches(scheme ? `${scheme}:` : self.protocol, embedder.protocol)) return false;
+    if (host.startsWith('*.') ? !embedder.hostname.endsWith(host.slice(1)) : host !== '*' && host !== embedder.hostname) {
+      return false;
+    }
+    if (port === '*') return true;
+    const actualPort = embedder.port || DEFAULT_PORTS[embedder.protocol] || '';
+    return actualPort === (port || DEFAULT_PORTS[embedder.protocol] || '');
+  });
+}
+
+/**
+ * 按响应记录说明页面能否被嵌入方加载
+ * @param {object} record
+ * @param {string} embedderOrigin - iframe 所在文档的 origin（预览时为扩展页面的 origin）
+ * @returns {{ level: 'high'|'medium'|'low', title: string, detail: string }[]}
+ */
+function explainFraming(record, embedderOrigin) {
+  const findings = [];
+  const add = (level, title, detail) => findings.push({ level, title, detail });
+  let self;
+  let embedder = null;
+  try { self = new URL(record.finalUrl); } catch { return findings; }
+  try { embedder = new URL(embedderOrigin); } catch { /* 嵌入方未知时只报告状态码 */ }
+  // chrome-extension: 等非特殊协议的 origin 在部分环境下序列化为 'null'
+  const embedderLabel = embedder && (embedder.origin !== 'null' ? embedder.origin : `${embedder.protocol}//${embedder.host}`);
+
+  if (record.error === 'net::ERR_ABORTED') add('low', '请求被取消', '加载过程中 iframe 被重新导航或移除');
+  else if (record.error) add('high', '请求失败', record.error);
+  if (record.statusCode >= 400) add('medium', `HTTP ${record.statusCode}`, '服务器返回错误状态，iframe 中显示的是错误页');
+
+  if (record.frameAncestors) {
+    // 设置了 frame-ancestors 时浏览器忽略 X-Frame-Options
+    if (embedder) {
+      record.frameAncestors
+        .filter((list) => !frameAncestorsAllow(list, embedder, self))
+        .forEach((list) => add('high', 'CSP frame-ancestors 拒绝嵌入', `frame-ancestors ${list || "（空，等同 'none'）"} 不包含 ${embedderLabel}`));
+    }
+    if (record.xfo) add('low', 'X-Frame-Options 未生效', `同时设置了 CSP frame-ancestors，浏览器忽略 X-Frame-Options: ${record.xfo}`);
+  } else if (record.xfo) {
+    const values = [...new Set(record.xfo.split(',').map((v) => v.trim().toLowerCase()))];
+    if (values.length > 1) {
+      add('high', 'X-Frame-Options 取值冲突', `响应中出现多个不同取值（${record.xfo}），浏览器按拒绝处理`);
+    } else if (values[0] === 'deny') {
+      add('high', 'X-Frame-Options: DENY', '页面禁止被任何页面嵌入');
+    } else if (values[0] === 'sameorigin') {
+      if (embedder && embedder.origin !== self.origin) {
+        add('high', 'X-Frame-Options: SAMEORIGIN', `只允许 ${self.origin} 自身嵌入，嵌入方为 ${embedderLabel}（浏览器会检查所有上级 frame）`);
+      }
+    } else {
+      add('low', 'X-Frame-Options 无效', `取值 ${record.xfo} 不被浏览器支持（ALLOW-FROM 已废弃），等同未设置`);
+    }
+  }
+  return findings;
+}
+
+/** 响应面板：按当前模态框对应的 iframe 读取记录 */
+async function fillResponsePanel(iframe) {
+  const index = activeModalIndex;
+  const tbody = $('response-table').querySelector('tbody');
+  const records = replaySession || !currentTabId ? [] : await loadFrameResponses(currentTabId);
+  if (index !== activeModalIndex) return;
+
+  const record = iframe.src && !iframe.srcdoc ? findFrameResponse(records, iframe) : null;
+  tbody.innerHTML = '';
+  $('response-redirects').innerHTML = '';
+  $('response-verdict').innerHTML = '';
+
+  if (!record) {
+    $('response-hint').textContent = replaySession
+      ? '回放扫描记录时不提供响应信息'
+      : iframe.srcdoc || !iframe.src
+        ? 'srcdoc / 空地址的 iframe 没有网络响应'
+        : '尚未捕获到该 iframe 的响应：它可能在首次扫描前已加载，重载该 iframe 或刷新页面后再查看';
+    return;
+  }
+
+  $('response-hint').textContent = `记录于 ${new Date(record.time).toLocaleTimeString()}`;
+  const findings = explainFraming(record, iframe.docOrigin);
+  $('response-verdict').innerHTML = findings.length
+    ? auditItemsHtml(findings, FRAMING_LEVELS)
+    : '<div class="audit-ok">响应头允许当前页面嵌入该 iframe</div>';
+
+  [
+    ['状态码',          record.statusCode || null],
+    ['请求地址',        record.url],
+    ['最终地址',        record.finalUrl !== record.url ? record.finalUrl : null],
+    ['X-Frame-Options', record.xfo],
+    ['frame-ancestors', record.frameAncestors ? record.frameAncestors.join(' ; ') : null],
+    ['错误',            record.error],
+  ].forEach(([label, value]) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${escHtml(label)}</td><td>${value === null || value === undefined || value === ''
+      ? '<span class="info-val-empty">—</span>'
+      : escHtml(String(value))}</td>`;
+    tbody.appendChild(tr);
+  });
+
+  if (record.redirects.length) {
+    $('response-redirects').innerHTML = [...record.redirects, { url: record.finalUrl, statusCode: record.statusCode }]
+      .map(({ url, statusCode }) => `<li><span class="redirect-status">${statusCode || '—'}</span>${escHtml(url)}</li>`)
+      .join('');
+  }
+}
+
+/** 扫描后给响应被拒绝 / 出错的 iframe 卡片加标注 */
+async function refreshResponseBadges() {
+  if (!currentTabId || replaySession) return;
+  const records = await loadFrameResponses(currentTabId);
+  document.querySelectorAll('.iframe-card').forEach((card) => {
+    card.querySelector('.card-response-badge')?.remove();
+    const iframe = iframeList[Number(card.dataset.index)];
+    if (!iframe?.src || iframe.srcdoc) return;
+    const record = findFrameResponse(records, iframe);
+    const finding = record && explainFraming(record, iframe.docOrigin).find((f) => f.level !== 'low');
+    if (!finding) return;
+
+    const badge = document.createElement('button');
+    badge.className = `card-audit-badge card-audit-badge--${finding.level} card-response-badge`;
+    badge.textContent = finding.level === 'high' && !record.error ? '拒绝嵌入' : finding.title;
+    badge.title = `${finding.title}：${finding.detail}`;
+    badge.addEventListener('click', () => {
+      openModal(Number(card.dataset.index));
+      switchTab('response');
+    });
+    card.querySelector('.card-size').after(badge);
+  });
+}
+
+/** 等待 background.js 写入预览 iframe 的响应记录（load 事件可能先于 onCompleted 到达） */
+async function waitForPreviewResponse(url, since) {
+  for (let i = 0; i < 6; i++) {
+    const record = (await loadFrameResponses(-1)).find((r) => r.url === url && r.time >= since);
+    if (record) return record;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  return null;
+}
+
+// ===== 性能时间线 =====
+/**
+ * 扫描后向所有 frame 读取 content.js 的 timing()，按 frameId 缓存；每个 iframe 的数据有两个来源：
+ * - host 所在文档（父 frame）资源计时中该元素的加载条目，跨域时通常只有起止时间
+ * - doc  iframe 内文档自身的导航计时与资源计时，frame 可注入时即可完整读取
+ * 时间统一换算为绝对时间（timeOrigin + 相对时间），以顶层页面的导航开始为 0 点展示
+ */
+const frameTimings = new Map();  // frameId → timing() 结果
+const EMBED_INITIATORS = ['iframe', 'frame', 'embed', 'object'];
+const SLOW_LOAD_MS = 3000;
+const WATERFALL_ROW_LIMIT = 150;
+
+/** 文档加载阶段：[class 后缀, 标签, 起点字段, 终点字段] */
+const NAV_PHASES = [
+  ['redirect', '重定向', 'redirectStart',     'redirectEnd'],
+  ['dns',      'DNS',    'domainLookupStart', 'domainLookupEnd'],
+  ['connect',  '连接',   'connectStart',      'connectEnd'],
+  ['wait',     '等待',   'requestStart',      'responseStart'],
+  ['download', '下载',   'responseStart',     'responseEnd'],
+  ['process',  '解析至 load', 'responseEnd',  'loadEventEnd'],
+];
+
+/** 资源类型分组（对应瀑布图颜色） */
+const RESOURCE_GROUPS = {
+  script        : 'script',
+  link          : 'css',
+  css           : 'css',
+  img           : 'img',
+  image         : 'img',
+  fetch         : 'xhr',
+  xmlhttprequest: 'xhr',
+  beacon        : 'xhr',
+  iframe        : 'frame',
+  frame         : 'frame',
+  embed         : 'frame',
+  object        : 'frame',
+};
+
+function formatDuration(ms) {
+  if (ms == null) return '—';
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+function formatBytes(bytes) {
+  if (bytes == null) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/** 扫描后读取各 frame 的计时数据并刷新卡片摘要 */
+async function refreshTimings() {
+  if (!currentTabId || replaySession) return;
+  try {
+    const injected = await chrome.scripting.executeScript({
+      target: { tabId: currentTabId, allFrames: true },
+      func  : () => window.__ifi?.timing() ?? null,
+    });
+    frameTimings.clear();
+    injected.forEach(({ frameId, result }) => { if (result) frameTimings.set(frameId, result); });
+  } catch (err) {
+    console.error('读取性能数据失败:', err);
+    return;
+  }
+  renderTimingSummaries(await loadFrameResponses(currentTabId));
+}
+
+/**
+ * 汇总单个 iframe 的加载数据
+ * @param {object[]} responses - background.js 记录的响应（补充跨域重定向次数）
+ * @returns {object|null} start 为绝对时间；load 为导航开始到 load 结束的耗时，只有父文档条目时为文档响应完成耗时
+ */
+function iframeTiming(iframe, responses = []) {
+  const parent = frameTimings.get(iframe.frameId);
+  const doc = iframe.childFrameId >= 0 ? frameTimings.get(iframe.childFrameId) : null;
+  const nav = doc?.navigation || null;
+  const host = parent?.resources.filter((r) => EMBED_INITIATORS.includes(r.initiatorType) &&
+    (r.name === iframe.src || (doc && r.name === doc.url))).pop() || null;
+  if (!nav && !host) return null;
+
+  const response = responses.length && iframe.src && !iframe.srcdoc ? findFrameResponse(responses, iframe) : null;
+  const resources = doc ? doc.resources : [];
+  const transferOf = (entry) => (entry?.transferSize > 0 ? entry.transferSize : null);
+  return {
+    doc,
+    nav,
+    host,
+    start           : nav ? doc.timeOrigin : parent.timeOrigin + host.startTime,
+    load            : nav?.loadEventEnd > 0 ? nav.loadEventEnd : host ? host.responseEnd - host.startTime : null,
+    loadSource      : nav?.loadEventEnd > 0 ? 'document' : host ? 'host' : 'pending',
+    redirects       : Math.max(nav?.redirectCount || 0, response?.redirects.length || 0),
+    transfer        : transferOf(nav) ?? transferOf(host),
+    resourceCount   : resources.length,
+    resourceTransfer: resources.reduce((sum, r) => sum + (r.transferSize || 0), 0),
+  };
+}
+
+/** 卡片头部的加载摘要；多个 iframe 时标出最慢的一个 */
+function renderTimingSummaries(responses) {
+  const timings = new Map();
+  iframeList.forEach((iframe) => {
+    const timing = iframeTiming(iframe, responses);
+    if (timing) timings.set(iframe.index, timing);
+  });
+  const slowest = [...timings].filter(([, t]) => t.load != null).sort((a, b) => b[1].load - a[1].load)[0];
+  const pageOrigin = frameTimings.get(0)?.timeOrigin;
+
+  document.querySelectorAll('.iframe-card').forEach((card) => {
+    card.querySelector('.card-timing')?.remove();
+    const index = Number(card.dataset.index);
+    const timing = timings.get(index);
+    if (!timing || timing.load == null) return;
+
+    const isSlowest = timings.size > 1 && slowest?.[0] === index;
+    const badge = document.createElement('button');
+    badge.className = `card-timing${timing.load >= SLOW_LOAD_MS ? ' card-timing--slow' : ''}${isSlowest ? ' is-slowest' : ''}`;
+    badge.textContent = `${isSlowest ? '最慢 ' : ''}${formatDuration(timing.load)}`;
+    badge.title = [
+      pageOrigin != null ? `导航开始：页面 +${formatDuration(timing.start - pageOrigin)}` : '',
+      `${timing.loadSource === 'document' ? '加载完成（load）' : '文档响应完成'}：${formatDuration(timing.load)}`,
+      `重定向：${timing.redirects} 次`,
+      `文档传输：${formatBytes(timing.transfer)}`,
+      timing.doc ? `子资源：${timing.resourceCount} 个 · ${formatBytes(timing.resourceTransfer)}` : '',
+    ].filter(Boolean).join('\n');
+    badge.addEventListener('click', () => {
+      openModal(Number(card.dataset.index));
+      switchTab('timing');
+    });
+    card.querySelector('.card-size').after(badge);
+  });
+}
+
+async function fillTimingPanel(iframe) {
+  const index = activeModalIndex;
+  const responses = replaySession || !currentTabId ? [] : await loadFrameResponses(currentTabId);
+  if (index !== activeModalIndex) return;
+
+  const timing = replaySession ? null : iframeTiming(iframe, responses);
+  const tbody = $('timing-table').querySelector('tbody');
+  tbody.innerHTML = '';
+  $('timing-waterfall').innerHTML = '';
+
+  if (!timing) {
+    $('timing-hint').textContent = replaySession
+      ? '回放扫描记录时不提供性能数据'
+      : iframe.srcdoc || !iframe.src
+        ? '没有可读取的加载数据'
+        : '尚未读取到该 iframe 的加载数据，iframe 加载完成后点击「刷新」';
+    return;
+  }
+
+  const pageOrigin = frameTimings.get(0)?.timeOrigin;
+  const { nav } = timing;
+  $('timing-hint').textContent = timing.doc
+    ? '数据来自 iframe 文档自身的导航计时与资源计时'
+    : '无法读取 iframe 内部，仅有所在页面记录的加载条目（跨域时各阶段耗时与大小可能为 0）';
+
+  [
+    ['导航开始',       pageOrigin != null ? `页面导航后 ${formatDuration(timing.start - pageOrigin)}` : null],
+    ['load 完成',      timing.loadSource === 'document' ? formatDuration(timing.load) : null],
+    ['文档响应完成',   timing.host ? formatDuration(timing.host.responseEnd - timing.host.startTime)
+      : nav ? formatDuration(nav.responseEnd) : null],
+    ['DOMContentLoaded', nav?.domContentLoadedEventEnd > 0 ? formatDuration(nav.domContentLoadedEventEnd) : null],
+    ['重定向次数',     String(timing.redirects)],
+    ['文档传输大小',   timing.transfer != null ? formatBytes(timing.transfer) : nav ? '0（缓存或未公开）' : null],
+    ['子资源',         timing.doc ? `${timing.resourceCount} 个 · 传输 ${formatBytes(timing.resourceTransfer)}` : null],
+    ['导航类型',       nav?.type || null],
+  ].forEach(([label, value]) => {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${escHtml(label)}</td><td>${value == null ? '<span class="info-val-empty">—</span>' : escHtml(value)}</td>`;
+    tbody.appendChild(tr);
+  });
+
+  renderWaterfall(timing);
+}
+
+/**
+ * 瀑布图：第一行为 iframe 文档（按加载阶段分段），其后为文档内的资源；时间以 iframe 导航开始为 0
+ * 没有 iframe 内部数据时用父文档条目的阶段时间
+ */
+function renderWaterfall(timing) {
+  const docEntry = timing.nav || timing.host;
+  const offset = timing.nav ? 0 : timing.host.startTime;
+  const docPhases = NAV_PHASES
+    .map(([key, label, from, to]) => ({ key, label, from: docEntry[from] - offset, to: (docEntry[to] ?? 0) - offset }))
+    .filter((p) => p.from >= 0 && p.to > p.from);
+  const docEnd = Math.max(timing.load || 0, docEntry.responseEnd - offset);
+
+  const resources = (timing.doc?.resources || [])
+    .map((r) => ({ ...r, end: r.responseEnd || r.startTime + r.duration }))
+    .sort((a, b) => a.startTime - b.startTime);
+  const shown = resources.slice(0, WATERFALL_ROW_LIMIT);
+  const total = Math.max(docEnd, ...shown.map((r) => r.end), 1);
+  const pct = (ms) => `${(Math.max(0, ms) / total * 100).toFixed(2)}%`;
+
+  const rowHtml = (label, title, bars, meta) => `
+    <div class="wf-row">
+      <span class="wf-label" title="${escHtml(title)}">${escHtml(label)}</span>
+      <span class="wf-track">${bars}</span>
+      <span class="wf-meta">${escHtml(meta)}</span>
+    </div>`;
+  const barHtml = (cls, from, to, title) =>
+    `<span class="wf-bar wf-bar--${cls}" style="left:${pct(from)};width:${pct(to - from)}" title="${escHtml(title)}"></span>`;
+
+  const shortName = (url) => {
+    try {
+      const u = new URL(url);
+      return u.pathname.split('/').filter(Boolean).pop() || u.host;
+    } catch { return url; }
+  };
+
+  const docUrl = timing.doc?.url || docEntry.name;
+  const rows = [rowHtml(
+    shortName(docUrl) || '文档',
+    docUrl,
+    docPhases.length
+      ? docPhases.map((p) => barHtml(p.key, p.from, p.to, `${p.label} ${formatDuration(p.to - p.from)}`)).join('')
+      : barHtml('download', 0, docEnd, `文档 ${formatDuration(docEnd)}`),
+    formatDuration(docEnd),
+  )];
+  shown.forEach((r) => {
+    rows.push(rowHtml(
+      shortName(r.name),
+      `${r.name}\n${r.initiatorType} · 开始 ${formatDuration(r.startTime)} · 耗时 ${formatDuration(r.end - r.startTime)} · 传输 ${formatBytes(r.transferSize)}`,
+      barHtml(RESOURCE_GROUPS[r.initiatorType] || 'other', r.startTime, r.end, `${r.initiatorType} ${formatDuration(r.end - r.startTime)}`),
+      formatDuration(r.end - r.startTime),
+    ));
+  });
+
+  $('timing-waterfall').innerHTML = `
+    <div class="wf-axis"><span>0</span><span>${formatDuration(total / 2)}</span><span>${formatDuration(total)}</span></div>
+    ${rows.join('')}
+    ${resources.length > shown.length ? `<div class="wf-more">另有 ${resources.length - shown.length} 个资源未显示</div>` : ''}`;
+}
+
+// ===== postMessage 记录 =====
+/**
+ * 开启记录后向页面所有 frame 注入 hook.js（页面主环境）与 content.js，并在 chrome.storage.session 写入
+ * messageCapture:<tabId>，background.js 据此在之后每次 frame 导航时立即注入；
+ * 记录由各 frame 的 content.js 缓存，经 ifi-messages 端口补发并持续推送：
+ * { id, frameId, frameUrl, time, origin, targetOrigin, peer: { rel, uid? }, ports, dropped, text, json, truncated? }
+ * 每条记录都记在收到消息的 frame 下，peer 为发送方相对该 frame 的关系
+ */
+const messageCaptureKey = (tabId) => `messageCapture:${tabId}`;
+const MESSAGE_PREVIEW_LENGTH = 160;
+
+let messagePort = null;
+let messageCaptureOn = false;      // 当前 tab 是否处于记录中（按钮状态与提示文案用）
+const messageRecords = new Map();  // id → 记录（重连补发时按 id 去重）
+let _messageRenderTimer = null;
+let _messageReconnectTimer = null;
+
+function initMessageInspector() {
+  $('btn-msg-capture').addEventListener('click', toggleMessageCapture);
+  $('msg-dir-filter').addEventListener('change', () => renderMessageList());
+  $('msg-filter').addEventListener('input', () => renderMessageList());
+  $('btn-msg-clear').addEventListener('click', () => {
+    messageRecords.clear();
+    renderMessageList();
+  });
+  $('btn-msg-send').addEventListener('click', sendComposedMessage);
+  $('msg-compose-data').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) sendComposedMessage();
+  });
+
+  // iframe 导航后新文档里的 content.js 不在已有连接内，重连以补发其缓存
+  chrome.webNavigation.onCompleted.addListener(({ tabId }) => {
+    if (tabId !== currentTabId || !messagePort) return;
+    clearTimeout(_messageReconnectTimer);
+    _messageReconnectTimer = setTimeout(connectMessagePort, 300);
+  });
+}
+
+async function isMessageCaptureOn() {
+  if (!currentTabId) return false;
+  const key = messageCaptureKey(currentTabId);
+  const { [key]: enabled } = await chrome.storage.session.get(key);
+  return !!enabled;
+}
+
+/** 通知所有 frame 中的 hook.js 开始 / 暂停记录（DOM 事件可跨隔离环境传递） */
+function setMessageHookState(state) {
+  return chrome.scripting.executeScript({
+    target: { tabId: currentTabId, allFrames: true },
+    func  : (detail) => document.dispatchEvent(new CustomEvent('__ifi_postmessage_ctl__', { detail })),
+    args  : [state],
+  });
+}
+
+async function toggleMessageCapture() {
+  if (!currentTabId || replaySession) return;
+  const btn = $('btn-msg-capture');
+  btn.disabled = true;
+  try {
+    if (await isMessageCaptureOn()) {
+      await chrome.storage.session.remove(messageCaptureKey(currentTabId));
+      await setMessageHookState('off');
+      stopMessagePort();
+    } else {
+      const target = { tabId: currentTabId, allFrames: true };
+      await chrome.scripting.executeScript({ target, files: ['content.js'] });
+      await chrome.scripting.executeScript({ target, files: ['hook.js'], world: 'MAIN' });
+      await setMessageHookState('on');
+      await chrome.storage.session.set({ [messageCaptureKey(currentTabId)]: true });
+      connectMessagePort();
+    }
+  } catch (err) {
+    showToast('无法注入消息记录脚本', 'error');
+    console.error('切换消息记录失败:', err);
+  } finally {
+    btn.disabled = false;
+  }
+  updateMessageCaptureButton();
+}
+
+async function updateMessageCaptureButton() {
+  const on = !replaySession && await isMessageCaptureOn();
+  messageCaptureOn = on;
+  const btn = $('btn-msg-capture');
+  btn.textContent = on ? '停止记录' : '开始记录';
+  btn.classList.toggle('btn-primary', !on);
+  btn.classList.toggle('btn-ghost', on);
+  btn.disabled = !!replaySession;
+  return on;
+}
+
+/** 连接页面所有 frame 的 content.js（同实时监听），各 frame 先补发缓存再逐条推送 */
+function connectMessagePort() {
+  if (messagePort) messagePort.disconnect();
+  if (!currentTabId) return;
+
+  const port = chrome.tabs.connect(currentTabId, { name: 'ifi-messages' });
+  port.onMessage.addListener((msg) => {
+    if (msg?.type !== 'POST_MESSAGES') return;
+    msg.records.forEach((record) => messageRecords.set(record.id, record));
+    scheduleMessageRender();
+  });
+  port.onDisconnect.addListener(() => {
+    void chrome.runtime.lastError;
+    if (messagePort !== port) return;
+    messagePort = null;
+    // 页面整体导航时所有 frame 断开，background.js 会在新文档中重新注入，稍后重连
+    setTimeout(async () => {
+      if (!messagePort && await isMessageCaptureOn()) connectMessagePort();
+    }, 1000);
+  });
+  messagePort = port;
+}
+
+function stopMessagePort() {
+  clearTimeout(_messageReconnectTimer);
+  const port = messagePort;
+  messagePort = null;
+  port?.disconnect();
+}
+
+/** 切换 tab 时丢弃上一个 tab 的记录（页面侧仍有缓存，重新连接即可补回） */
+function resetMessageInspector() {
+  stopMessagePort();
+  messageRecords.clear();
+}
+
+function scheduleMessageRender() {
+  if (_messageRenderTimer) return;
+  _messageRenderTimer = setTimeout(() => {
+    _messageRenderTimer = null;
+    if (activeModalIndex >= 0) renderMessageList();
+  }, 200);
+}
+
+/**
+ * 与 iframe 相关的消息，按时间倒序
+ * - in  该 iframe 文档收到的消息（含 targetOrigin 不匹配而未送达的）
+ * - out 该 iframe 所在文档收到、发送方为该 iframe 的消息
+ */
+function messagesOf(iframe) {
+  const list = [];
+  messageRecords.forEach((record) => {
+    if (iframe.childFrameId >= 0 && record.frameId === iframe.childFrameId) {
+      list.push({ dir: 'in', record });
+    } else if (record.frameId === iframe.frameId && record.peer?.rel === 'child' && record.peer.uid === iframe.uid) {
+      list.push({ dir: 'out', record });
+    }
+  });
+  return list.sort((a, b) => b.record.time - a.record.time);
+}
+
+/** 对方窗口的说明：in 为发送方相对 iframe，out 的接收方固定为 iframe 所在文档 */
+function messagePeerLabel({ dir, record }) {
+  if (dir === 'out') return 'iframe → 所在页面';
+  if (record.dropped) return '未送达（targetOrigin 不匹配）';
+  const { rel, uid } = record.peer || {};
+  if (rel === 'parent') return '所在页面 → iframe';
+  if (rel === 'top') return '顶层页面 → iframe';
+  if (rel === 'self') return 'iframe 自身';
+  if (rel === 'child') {
+    const child = iframeList.find((e) => e.uid === uid);
+    return child ? `子 iframe #${child.index} → iframe` : '子 iframe → iframe';
+  }
+  return rel === 'other' ? '其他窗口 → iframe' : '未知来源 → iframe';
+}
+
+function formatMessageTime(time) {
+  const d = new Date(time);
+  return `${d.toLocaleTimeString()}.${String(d.getMilliseconds()).padStart(3, '0')}`;
+}
+
+function formatMessageData(record) {
+  if (!record.json) return record.text;
+  try { return JSON.stringify(JSON.parse(record.text), null, 2); } catch { return record.text; }
+}
+
+async function fillMessagesPanel(iframe) {
+  const on = await updateMessageCaptureButton();
+  if (on && !messagePort) connectMessagePort();
+  $('msg-compose-dir').value = 'in';
+  renderMessageList(iframe);
+}
+
+function renderMessageList(iframe = iframeList[activeModalIndex]) {
+  if (!iframe) return;
+  const all = replaySession ? [] : messagesOf(iframe);
+  const dir = $('msg-dir-filter').value;
+  const keyword = $('msg-filter').value.trim().toLowerCase();
+  const shown = all.filter((m) => (dir === 'all' || m.dir === dir) && (!keyword ||
+    [m.record.text, m.record.origin, m.record.targetOrigin].some((v) => v && v.toLowerCase().includes(keyword))));
+
+  $('msg-tab-count').textContent = all.length;
+  $('msg-hint').textContent = replaySession
+    ? '回放扫描记录时不提供消息记录'
+    : iframe.kind !== 'iframe' && iframe.kind !== 'frame'
+      ? `<${iframe.kind}> 元素没有可通信的窗口`
+      : !messageCaptureOn
+        ? '点击「开始记录」后捕获页面与 iframe 之间的 postMessage；刷新页面可记录加载阶段的握手消息'
+        : iframe.childFrameId < 0
+          ? '无法获取该 iframe 的 frame ID，只能记录它发往所在页面的消息'
+          : all.length && shown.length < all.length ? `显示 ${shown.length} / ${all.length} 条` : '';
+
+  const listEl = $('msg-list');
+  listEl.innerHTML = shown.length ? '' : `<div class="msg-empty">${all.length ? '没有匹配的消息' : '暂无消息'}</div>`;
+  shown.forEach((m) => {
+    const { record } = m;
+    const data = formatMessageData(record);
+    const item = document.createElement('div');
+    item.className = `msg-item msg-item--${m.dir}${record.dropped ? ' is-dropped' : ''}`;
+    item.innerHTML = `
+      <div class="msg-meta">
+        <span class="msg-dir">${m.dir === 'in' ? '入' : '出'}</span>
+        <span class="msg-peer">${escHtml(messagePeerLabel(m))}</span>
+        <span class="msg-time">${formatMessageTime(record.time)}</span>
+        <span class="msg-actions">
+          <button class="btn btn-sm btn-ghost" data-act="replay">重放</button>
+          <button class="btn btn-sm btn-ghost" data-act="edit">编辑</button>
+          <button class="btn btn-sm btn-ghost" data-act="copy">复制</button>
+        </span>
+      </div>
+      <div class="msg-origins">
+        ${record.origin ? `<span>origin <code>${escHtml(record.origin)}</code></span>` : ''}
+        ${record.targetOrigin ? `<span>targetOrigin <code>${escHtml(record.targetOrigin)}</code></span>` : ''}
+        ${record.ports ? `<span>携带 ${record.ports} 个 MessagePort</span>` : ''}
+        ${record.truncated ? '<span>内容过长已截断</span>' : ''}
+      </div>
+      <pre class="msg-data${record.json ? ' is-json' : ''}">${escHtml(data)}</pre>`;
+    // 较长的内容默认折叠，点击展开 / 收起
+    const pre = item.querySelector('.msg-data');
+    if (data.length > MESSAGE_PREVIEW_LENGTH || data.split('\n').length > 6) {
+      pre.classList.add('is-collapsible');
+      pre.title = '点击展开 / 收起';
+      pre.addEventListener('click', () => pre.classList.toggle('is-expanded'));
+    }
+    item.querySelector('[data-act="replay"]').addEventListener('click', () => {
+      postMessageTo(iframe, m.dir, record.text, record.json, record.targetOrigin || '*');
+    });
+    item.querySelector('[data-act="edit"]').addEventListener('click', () => {
+      $('msg-compose-dir').value = m.dir;
+      $('msg-compose-type').value = record.json ? 'json' : 'text';
+      $('msg-target-origin').value = record.targetOrigin || '*';
+      $('msg-compose-data').value = data;
+      $('msg-compose-data').focus();
+    });
+    item.querySelector('[data-act="copy"]').addEventListener('click', async () => {
+      await navigator.clipboard.writeText(data);
+      showToast('消息内容已复制', 'success');
+    });
+    listEl.appendChild(item);
+  });
+}
+
+function sendComposedMessage() {
+  const iframe = iframeList[activeModalIndex];
+  if (!iframe) return;
+  const text = $('msg-compose-data').value;
+  const json = $('msg-compose-type').value === 'json';
+  if (json) {
+    try { JSON.parse(text); } catch {
+      showToast('消息内容不是合法的 JSON', 'error');
+      return;
+    }
+  }
+  postMessageTo(iframe, $('msg-compose-dir').value, text, json, $('msg-target-origin').value.trim() || '*');
+}
 
-  const parsed = parseUrlParams(iframe.src);
-  // Base URL 显示完整路径（含协议和域名，不含查询参数）
-  $('param-base-url').textContent = parsed.base;
-  $('param-tab-count').textContent = parsed.entries.length;
-  $('params-hint').textContent = parsed.entries.length;
+/**
+ * 以页面身份向 iframe 发消息（in），或以 iframe 身份向其所在页面发消息（out）
+ * 在扩展隔离环境中调用 postMessage，接收方看到的 origin / source 与页面脚本发送时一致
+ */
+async function postMessageTo(iframe, dir, text, json, targetOrigin) {
+  if (!currentTabId || replaySession) return;
+  try {
+    let result;
+    if (dir === 'in') {
+      result = await execOnElement(iframe, (locator, data, isJson, origin) => {
+        const el = window.__ifi.resolve(locator);
+        if (!el) return window.__ifi.GONE;
+        if (!el.contentWindow) return { error: '该元素没有可通信的窗口' };
+        try { el.contentWindow.postMessage(isJson ? JSON.parse(data) : data, origin); } catch (err) { return { error: err.message }; }
+        return { ok: true };
+      }, [text, json, targetOrigin]);
+    } else {
+      if (iframe.childFrameId < 0) throw new Error('无法获取该 iframe 的 frame ID');
+      const injected = await execInFrame(iframe.childFrameId, (data, isJson, origin) => {
+        try { window.parent.postMessage(isJson ? JSON.parse(data) : data, origin); } catch (err) { return { error: err.message }; }
+        return { ok: true };
+      }, [text, json, targetOrigin]);
+      result = injected[0]?.result;
+    }
+    if (result?.error) throw new Error(result.error);
+    showToast(targetOrigin === '*' ? '消息已发送' : `消息已发送（targetOrigin: ${targetOrigin}）`, 'success');
+  } catch (err) {
+    showToast(`发送失败：${err.message}`, 'error');
+  }
+}
 
-  // 复制 Base URL 按钮
-  const copyBaseBtn = document.querySelector('[data-copy="base-url"]');
-  if (copyBaseBtn) copyBaseBtn.onclick = () => copyText(parsed.base);
+// ===== 控制台记录 =====
+/**
+ * 需在「日志」标签中手动开启：开启后向所有 frame 注入 console-hook.js（页面主环境），并在 chrome.storage.session
+ * 写入 consoleCapture:<tabId>，background.js 据此在之后每次 frame 导航时立即注入；停止时移除标记并让钩子还原原方法。
+ * 各 frame 的记录由 content.js 缓存，扫描后按 frameId 读取：{ level, text, source, stack, time, count }
+ * 开启前已输出的错误无法获取，开启后刷新页面可记录加载阶段的错误
+ */
+const consoleCaptureKey = (tabId) => `consoleCapture:${tabId}`;
+const CONSOLE_LEVELS = {
+  exception: '未捕获异常',
+  rejection: 'Promise 拒绝',
+  error    : 'console.error',
+  warn     : 'console.warn',
+};
 
-  // 渲染只读参数行
-  renderParamRows(parsed.entries);
+const frameConsoleLogs = new Map();  // frameId → 记录
+let consoleCaptureOn = false;        // 当前 tab 是否处于记录中（按钮状态与提示文案用）
 
-  // Full URL 显示完整链接
-  $('pe-result-url').textContent = iframe.src;
+async function isConsoleCaptureOn() {
+  if (!currentTabId) return false;
+  const key = consoleCaptureKey(currentTabId);
+  const { [key]: enabled } = await chrome.storage.session.get(key);
+  return !!enabled;
+}
 
-  // 复制完整链接按钮
-  const copyFullBtn = $('btn-copy-full-url');
-  if (copyFullBtn) copyFullBtn.onclick = () => copyText(iframe.src);
+async function toggleConsoleCapture() {
+  if (!currentTabId || replaySession) return;
+  const btn = $('btn-console-capture');
+  btn.disabled = true;
+  try {
+    const target = { tabId: currentTabId, allFrames: true };
+    if (await isConsoleCaptureOn()) {
+      await chrome.storage.session.remove(consoleCaptureKey(currentTabId));
+      // 钩子收到 off 后还原 console 方法并移除监听，再次开启时重新注入
+      await chrome.scripting.executeScript({
+        target,
+        func: () => document.dispatchEvent(new CustomEvent('__ifi_console_ctl__', { detail: 'off' })),
+      });
+    } else {
+      await chrome.scripting.executeScript({ target, files: ['content.js'] });
+      await chrome.scripting.executeScript({ target, files: ['console-hook.js'], world: 'MAIN' });
+      await chrome.storage.session.set({ [consoleCaptureKey(currentTabId)]: true });
+    }
+  } catch (err) {
+    showToast('无法切换控制台记录', 'error');
+    console.error('切换控制台记录失败:', err);
+  } finally {
+    btn.disabled = false;
+  }
+  await refreshConsoleLogs();
+  if (iframeList[activeModalIndex]) fillConsolePanel(iframeList[activeModalIndex]);
 }
 
-/** 渲染全部参数行（只读） */
-function renderParamRows(entries) {
-  const container = $('param-rows');
-  container.innerHTML = '';
+async function updateConsoleCaptureButton() {
+  const on = !replaySession && await isConsoleCaptureOn();
+  consoleCaptureOn = on;
+  const btn = $('btn-console-capture');
+  btn.textContent = on ? '停止记录' : '开始记录';
+  btn.classList.toggle('btn-primary', !on);
+  btn.classList.toggle('btn-ghost', on);
+  btn.disabled = !!replaySession;
+  return on;
+}
 
-  if (entries.length === 0) {
-    $('no-params').classList.remove('hidden');
-  } else {
-    $('no-params').classList.add('hidden');
-    entries.forEach(([k, v]) => addParamRow(k, v));
+/** 读取各 frame 已缓存的记录（只在扩展隔离环境中读取，不注入钩子） */
+async function refreshConsoleLogs() {
+  if (!currentTabId || replaySession) return;
+  try {
+    const injected = await chrome.scripting.executeScript({
+      target: { tabId: currentTabId, allFrames: true },
+      func  : () => window.__ifi?.consoleLogs() ?? [],
+    });
+    frameConsoleLogs.clear();
+    injected.forEach(({ frameId, result }) => { if (result?.length) frameConsoleLogs.set(frameId, result); });
+  } catch (err) {
+    console.error('读取控制台记录失败:', err);
+    return;
   }
+  renderConsoleBadges();
 }
 
-/** 新增一行只读参数展示 */
-function addParamRow(key = '', value = '') {
-  $('no-params').classList.add('hidden');
+/** iframe 内文档的记录（不含其嵌套子 iframe，子 iframe 有各自的卡片） */
+function consoleLogsOf(iframe) {
+  if (replaySession || iframe.childFrameId < 0) return [];
+  return frameConsoleLogs.get(iframe.childFrameId) || [];
+}
 
-  const row = document.createElement('div');
-  row.className = 'param-row param-row-ro';
-  row.innerHTML = `
-    <div class="param-row-key">
-      <span class="param-key-ro">${escHtml(key)}</span>
-    </div>
-    <div class="param-row-val">
-      <span class="param-val-ro">${escHtml(value)}</span>
-    </div>
-    <div class="param-row-copy">
-      <button class="icon-btn" title="复制参数值" data-val="${escHtml(value)}">
-        <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.8">
-          <rect x="4" y="4" width="8" height="8" rx="1.2"/>
-          <path d="M2 10V2h8" stroke-linecap="round" stroke-linejoin="round"/>
-        </svg>
-      </button>
-    </div>`;
+/** 错误（含异常与 Promise 拒绝）/ 警告条数，重复合并的按次数计 */
+function countConsoleLogs(logs) {
+  return logs.reduce((acc, log) => {
+    if (log.level === 'warn') acc.warnings += log.count;
+    else acc.errors += log.count;
+    return acc;
+  }, { errors: 0, warnings: 0 });
+}
 
-  row.querySelector('.icon-btn').addEventListener('click', function () {
-    copyText(this.dataset.val);
+function renderConsoleBadges() {
+  document.querySelectorAll('.iframe-card').forEach((card) => {
+    card.querySelector('.card-console-badge')?.remove();
+    const iframe = iframeList[Number(card.dataset.index)];
+    if (!iframe) return;
+    const { errors, warnings } = countConsoleLogs(consoleLogsOf(iframe));
+    if (!errors && !warnings) return;
+
+    const badge = document.createElement('button');
+    badge.className = `card-audit-badge card-audit-badge--${errors ? 'high' : 'medium'} card-console-badge`;
+    badge.textContent = errors ? `错误 ${errors}` : `警告 ${warnings}`;
+    badge.title = `控制台：${errors} 个错误，${warnings} 个警告`;
+    badge.addEventListener('click', () => {
+      openModal(Number(card.dataset.index));
+      switchTab('console');
+    });
+    card.querySelector('.card-size').after(badge);
   });
-
-  $('param-rows').appendChild(row);
 }
 
-/** 从所有参数行读取当前值，重建 URL 并显示 */
-function refreshResultUrl() {
-  const parsed = parseUrlParams(peOriginalSrc);
-  const rows   = $('param-rows').querySelectorAll('.param-row');
-  const params = new URLSearchParams();
-
-  rows.forEach((row) => {
-    const k = row.querySelector('.param-key-input').value.trim();
-    const v = row.querySelector('.param-val-input').value;
-    if (k) params.append(k, v);
+async function fillConsolePanel(iframe) {
+  await updateConsoleCaptureButton();
+  if (iframe !== iframeList[activeModalIndex]) return;
+  const logs = consoleLogsOf(iframe);
+  const level = $('console-level-filter').value;
+  const shown = logs
+    .filter((log) => level === 'all' || (level === 'warn' ? log.level === 'warn' : log.level !== 'warn'))
+    .slice()
+    .reverse();
+  const { errors, warnings } = countConsoleLogs(logs);
+
+  $('console-tab-count').textContent = errors + warnings;
+  $('console-hint').textContent = replaySession
+    ? '回放扫描记录时不提供控制台记录'
+    : iframe.childFrameId < 0
+      ? '无法获取该 iframe 的 frame ID，没有可读取的控制台记录'
+      : !consoleCaptureOn
+        ? `${logs.length ? `${errors} 个错误，${warnings} 个警告 · ` : ''}点击「开始记录」捕获该 iframe 的错误与警告；开启后刷新页面可记录加载阶段的错误`
+        : `${errors} 个错误，${warnings} 个警告 · 记录中，刷新页面可记录加载阶段的错误`;
+
+  const listEl = $('console-list');
+  listEl.innerHTML = shown.length ? '' : `<div class="msg-empty">${logs.length ? '没有匹配的记录' : '暂无错误或警告'}</div>`;
+  shown.forEach((log) => {
+    const item = document.createElement('div');
+    item.className = `console-item console-item--${log.level === 'warn' ? 'warn' : 'error'}`;
+    item.innerHTML = `
+      <div class="msg-meta">
+        <span class="console-level">${escHtml(CONSOLE_LEVELS[log.level] || log.level)}</span>
+        ${log.count > 1 ? `<span class="console-count">×${log.count}</span>` : ''}
+        <span class="msg-time">${formatMessageTime(log.time)}</span>
+      </div>
+      <pre class="console-text">${escHtml(log.text)}</pre>
+      ${log.source ? `<div class="console-source">${escHtml(log.source)}</div>` : ''}
+      ${log.stack ? `<details class="console-stack"><summary>堆栈</summary><pre>${escHtml(log.stack)}</pre></details>` : ''}`;
+    listEl.appendChild(item);
   });
-
-  const hash     = parsed.hash ? `#${parsed.hash}` : '';
-  const query    = params.toString();
-  const newUrl   = parsed.base + (query ? `?${query}` : '') + hash;
-
-  $('pe-result-url').textContent = newUrl;
-
-  // 对比是否有修改
-  const changed = (newUrl !== peOriginalSrc);
-  $('pe-changed-badge').classList.toggle('hidden', !changed);
-  $('param-tab-count').textContent = rows.length;
-  $('params-hint').textContent     = rows.length;
 }
 
+// ===== 文档检查 =====
 /**
- * 「保存更改」：将编辑后的 URL 注入页面 iframe，更新本地记录
- * 不切换 tab，不触发截图
+ * 「文档」标签：向 iframe 内的 frame 注入 content.js 的 inspectDocument()，跨域 frame 在主机权限允许时同样可读
+ * 元素树可能较大，切换到该标签时才读取；同一元素再次切换不重复读取，点击「刷新」重新读取
  */
-async function handleSaveParams() {
-  const newUrl = $('pe-result-url').textContent;
-  if (!newUrl || newUrl === '—') return;
+let documentPanelUid = null;
+
+/** 文档统计项：[counts 字段, 标签] */
+const DOCUMENT_COUNTS = [
+  ['elements',      '元素'],
+  ['scripts',       '外部脚本'],
+  ['inlineScripts', '内联脚本'],
+  ['stylesheets',   '样式表'],
+  ['styleTags',     'style 标签'],
+  ['forms',         '表单'],
+  ['frames',        '嵌入元素'],
+];
+
+function resetDocumentPanel() {
+  documentPanelUid = null;
+  $('document-hint').textContent = '';
+  $('document-table').querySelector('tbody').innerHTML = '';
+  $('document-counts').innerHTML = '';
+  $('document-metas').querySelector('tbody').innerHTML = '';
+  $('document-tree').innerHTML = '';
+}
 
-  const btn = $('btn-apply-save');
-  btn.disabled = true;
+async function loadDocumentPanel({ force = false } = {}) {
+  const iframe = iframeList[activeModalIndex];
+  if (!iframe || (!force && documentPanelUid === iframe.uid)) return;
+  const index = activeModalIndex;
+  resetDocumentPanel();
+  documentPanelUid = iframe.uid;
 
-  // 更新本地 iframeList
-  if (activeModalIndex >= 0 && iframeList[activeModalIndex]) {
-    iframeList[activeModalIndex] = { ...iframeList[activeModalIndex], src: newUrl };
-    peOriginalSrc = newUrl;
-    $('pe-changed-badge').classList.add('hidden');
-    // 同步更新 base-url 显示
-    const parsed = parseUrlParams(newUrl);
-    $('param-base-url').textContent = parsed.base;
+  if (replaySession) {
+    $('document-hint').textContent = '回放扫描记录时不读取页面';
+    return;
+  }
+  if (iframe.childFrameId < 0) {
+    $('document-hint').textContent = '无法获取该元素内文档的 frame ID（尚未加载或不是可浏览的文档）';
+    return;
   }
 
-  // 将页面中 iframe 的 src 更新
-  if (currentTabId) {
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId: currentTabId },
-        func: (index, url) => {
-          const iframes = document.querySelectorAll('iframe');
-          if (iframes[index]) iframes[index].src = url;
-        },
-        args: [activeModalIndex, newUrl],
-      });
-      showToast('已更新 iframe src', 'success');
-    } catch {
-      showToast('页面 iframe src 更新失败', 'error');
-    }
+  $('document-hint').textContent = '读取中…';
+  let info;
+  try {
+    const injected = await execInFrame(iframe.childFrameId, () => window.__ifi?.inspectDocument() ?? null);
+    info = injected[0]?.result;
+    if (!info) throw new Error('没有返回结果');
+  } catch (err) {
+    if (index === activeModalIndex) $('document-hint').textContent = `无法读取该 frame：${err.message}`;
+    return;
   }
+  if (index !== activeModalIndex) return;
+  renderDocumentPanel(iframe, info);
+}
 
-  btn.disabled = false;
+function renderDocumentPanel(iframe, info) {
+  $('document-hint').textContent = `读取于 ${new Date().toLocaleTimeString()}${
+    iframe.src && !iframe.srcdoc && info.url !== iframe.src ? ' · 文档地址与 src 不同（重定向或已导航）' : ''}`;
+
+  const rowHtml = (label, value) => `<tr><td>${escHtml(label)}</td><td>${
+    value === null || value === undefined || value === '' ? '<span class="info-val-empty">—</span>' : escHtml(String(value))}</td></tr>`;
+
+  $('document-table').querySelector('tbody').innerHTML = [
+    ['文档地址',     info.url],
+    ['标题',         info.title],
+    ['字符集',       info.charset],
+    ['Content-Type', info.contentType],
+    ['doctype',      info.doctype ?? '无（怪异模式）'],
+    ['渲染模式',     info.compatMode === 'CSS1Compat' ? '标准模式' : '怪异模式'],
+    ['readyState',   info.readyState],
+    ['lang',         info.lang],
+  ].map(([label, value]) => rowHtml(label, value)).join('');
+
+  $('document-counts').innerHTML = DOCUMENT_COUNTS
+    .map(([key, label]) => `<span class="doc-count"><b>${info.counts[key]}</b>${escHtml(label)}</span>`)
+    .join('');
+
+  $('document-metas').querySelector('tbody').innerHTML = info.metas.length
+    ? info.metas.map(({ attr, key, content }) => rowHtml(attr === 'name' ? key : `${attr}: ${key}`, content)).join('')
+    : rowHtml('meta', null);
+
+  $('document-tree').innerHTML = info.tree
+    ? documentTreeHtml(info.tree, 0) +
+      (info.truncated ? '<div class="doc-more">元素过多，只读取了部分节点</div>' : '')
+    : '<div class="msg-empty">文档没有根元素</div>';
 }
 
-/** 显示 toast（兼容旧调用） */
-function showToast(msg, type = '') {
-  const tip = $('copy-tip');
-  tip.textContent = msg;
-  tip.className = `copy-tip${type === 'error' ? ' tip-error' : ''}`;
-  tip.classList.remove('hidden');
-  clearTimeout(window._toastTimer);
-  window._toastTimer = setTimeout(() => tip.classList.add('hidden'), 1800);
+/** 元素树节点：有子元素的用 <details> 折叠，前两层默认展开 */
+function documentTreeHtml(node, depth) {
+  const label = node.tag === '#shadow-root'
+    ? '<span class="doc-shadow">#shadow-root</span>'
+    : `<span class="doc-tag">&lt;${escHtml(node.tag)}</span>` +
+      (node.id ? `<span class="doc-id">#${escHtml(node.id)}</span>` : '') +
+      (node.cls ? `<span class="doc-cls">.${escHtml(node.cls)}</span>` : '') +
+      (node.hint ? ` <span class="doc-attr">${escHtml(node.hint)}</span>` : '') +
+      '<span class="doc-tag">&gt;</span>';
+  if (!node.childCount) return `<div class="doc-node doc-leaf">${label}</div>`;
+
+  const missing = node.childCount - node.children.length;
+  return `<details class="doc-node"${depth < 2 ? ' open' : ''}>
+    <summary>${label}<span class="doc-child-count">${node.childCount}</span></summary>
+    ${node.children.map((child) => documentTreeHtml(child, depth + 1)).join('')}
+    ${missing > 0 ? `<div class="doc-node doc-more">… 另有 ${missing} 个子元素未读取</div>` : ''}
+  </details>`;
 }
 
 // ===== 填充属性信息面板 =====
 function fillInfoPanel(iframe) {
+  const sec = iframe.security;
+  // null 表示未设置该属性；sandbox="" 为最严格的沙箱，单独标注
+  const secAttr = (name) => {
+    const value = sec?.[name] ?? null;
+    return name === 'sandbox' && value === '' ? '（空值：启用全部限制）' : value;
+  };
   const rows = [
     ['index',      `#${iframe.index}`],
+    ['定位标记',    `data-ifi-id="${iframe.uid}"`],
+    ['元素类型',    `<${iframe.kind}>`],
+    ['shadow 宿主', iframe.shadowPath.length ? iframe.shadowPath.join(' › ') : null],
+    ['type',       iframe.type || null],
+    ['frame ID',   String(iframe.frameId)],
+    ['嵌套深度',    String(iframe.depth)],
+    ['父 iframe',   iframe.parentIndex >= 0 ? `#${iframe.parentIndex}` : null],
     ['src',        iframe.src || null],
     ['srcdoc',     iframe.srcdoc],
     ['id',         iframe.id || null],
     ['name',       iframe.name || null],
     ['title',      iframe.title || null],
+    ['sandbox',    secAttr('sandbox')],
+    ['allow',      secAttr('allow')],
+    ['referrerpolicy', secAttr('referrerpolicy')],
+    ['loading',    secAttr('loading')],
+    ['credentialless', sec ? sec.credentialless : null],
+    ['csp',        secAttr('csp')],
     ['宽度 (CSS)',  iframe.width ? `${iframe.width} px` : null],
     ['高度 (CSS)',  iframe.height ? `${iframe.height} px` : null],
     ['在视口内',    iframe.inViewport],
@@ -973,6 +5109,8 @@ function fillInfoPanel(iframe) {
     tr.innerHTML = `<td>${escHtml(label)}</td><td>${valHtml}</td>`;
     tbody.appendChild(tr);
   });
+
+  renderAuditList(iframe);
 }
 
 // ===== 重置快照面板 =====
@@ -980,11 +5118,15 @@ function resetSnapshotPanel() {
   $('snap-idle').classList.remove('hidden');
   $('snap-loading').classList.add('hidden');
   $('zoom-viewport').classList.add('hidden');
+  $('annot-toolbar').classList.add('hidden');
   $('zoom-controls').classList.add('hidden');
   $('btn-capture').classList.add('btn-full');
   $('btn-capture').classList.remove('btn-sm');
   $('snapshot-size-hint').textContent = '滚轮缩放 · 拖拽平移 · 双击还原';
   lastSnapshotUrl = '';
+  setAnnotTool('pan');
+  closeCompare();
+  updateCompareButton();
 }
 
 // ===== 全局复制点击处理 =====
@@ -998,11 +5140,11 @@ function parseUrlParams(rawUrl) {
   try {
     const url = new URL(rawUrl);
     const entries = [...url.searchParams.entries()];
-    return {
-      base: url.origin + url.pathname,
-      entries,
-      hash: url.hash ? url.hash.slice(1) : '',
-    };
+    const hash = url.hash ? url.hash.slice(1) : '';
+    // base 去掉查询与 hash，保留用户名 / 密码
+    url.search = '';
+    url.hash = '';
+    return { base: url.href, entries, hash };
   } catch {
     return { base: rawUrl, entries: [], hash: '' };
   }
@@ -1027,9 +5169,12 @@ function copyText(text) {
 }
 
 function showState(name, errorMsg = '') {
+  statusState = { name, errorMsg };
   ['idle', 'loading', 'result', 'empty'].forEach((s) => {
     $(`state-${s}`).classList.toggle('hidden', s !== name);
   });
+  $('btn-capture-all').classList.toggle('hidden', name !== 'result');
+  $('export-dropdown').classList.toggle('hidden', name !== 'result');
   if (name === 'error') {
     // 复用 empty 态，但改变文字提示
     $('state-empty').classList.remove('hidden');
@@ -1051,8 +5196,9 @@ const zoom = { scale: 1, tx: 0, ty: 0, fitScale: 1 };
 
 /** 将变换写入 img 元素 */
 function applyTransform() {
-  $('snapshot-img').style.transform =
-    `translate(${zoom.tx}px, ${zoom.ty}px) scale(${zoom.scale})`;
+  const transform = `translate(${zoom.tx}px, ${zoom.ty}px) scale(${zoom.scale})`;
+  $('snapshot-img').style.transform  = transform;
+  $('annot-canvas').style.transform = transform;
   $('zoom-label').textContent = `${Math.round(zoom.scale * 100)}%`;
 }
 
@@ -1113,7 +5259,8 @@ function initZoomInteraction() {
   // ── 拖拽平移 ──
   let drag = null;
   vp.addEventListener('mousedown', (e) => {
-    if (e.button !== 0) return;
+    // 选中标注工具时由标注层处理
+    if (e.button !== 0 || annot.tool !== 'pan') return;
     drag = { startX: e.clientX, startY: e.clientY, tx0: zoom.tx, ty0: zoom.ty };
     vp.classList.add('dragging');
     e.preventDefault();
@@ -1133,18 +5280,385 @@ function initZoomInteraction() {
   vp.addEventListener('dblclick', zoomFit);
 }
 
+// ===== 快照标注 =====
+
+/**
+ * 标注状态：shapes 中的坐标均为图片像素坐标，线宽 / 字号按绘制时的缩放换算，
+ * 保证不同缩放下画出的标注在屏幕上粗细一致
+ */
+const annot = { tool: 'pan', color: '#e11d48', shapes: [], redo: [], drawing: null };
+
+/** 新截图载入后重置标注层尺寸与历史 */
+function resetAnnotations() {
+  const img = $('snapshot-img');
+  const canvas = $('annot-canvas');
+  canvas.width  = img.naturalWidth  || 1;
+  canvas.height = img.naturalHeight || 1;
+  annot.shapes = [];
+  annot.redo = [];
+  annot.drawing = null;
+  $('annot-text-input')?.remove();
+  renderAnnotations();
+}
+
+function hasAnnotations() {
+  return annot.shapes.length > 0;
+}
+
+/** 视口坐标 → 图片像素坐标 */
+function toImagePoint(e) {
+  const rect = $('zoom-viewport').getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left - zoom.tx) / zoom.scale,
+    y: (e.clientY - rect.top  - zoom.ty) / zoom.scale,
+  };
+}
+
+function setAnnotTool(tool) {
+  annot.tool = tool;
+  document.querySelectorAll('.annot-tool[data-tool]').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.tool === tool);
+  });
+  $('zoom-viewport').classList.toggle('annotating', tool !== 'pan');
+}
+
+function pushShape(shape) {
+  annot.shapes.push(shape);
+  annot.redo = [];
+  renderAnnotations();
+}
+
+function undoAnnotation() {
+  if (!annot.shapes.length) return;
+  annot.redo.push(annot.shapes.pop());
+  renderAnnotations();
+}
+
+function redoAnnotation() {
+  if (!annot.redo.length) return;
+  annot.shapes.push(annot.redo.pop());
+  renderAnnotations();
+}
+
+function renderAnnotations() {
+  const canvas = $('annot-canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  drawAnnotations(ctx, $('snapshot-img'), annot.drawing ? [...annot.shapes, annot.drawing] : annot.shapes);
+
+  $('annot-undo').disabled  = annot.shapes.length === 0;
+  $('annot-redo').disabled  = annot.redo.length === 0;
+  $('annot-clear').disabled = annot.shapes.length === 0;
+}
+
+/** 将标注绘制到 ctx（标注层与导出共用）；马赛克需要从原图取样 */
+function drawAnnotations(ctx, img, shapes) {
+  shapes.forEach((shape) => {
+    ctx.save();
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle   = shape.color;
+    ctx.lineWidth   = shape.lineWidth;
+    ctx.lineCap     = 'round';
+    ctx.lineJoin    = 'round';
+
+    switch (shape.type) {
+      case 'rect': {
+        ctx.strokeRect(shape.x, shape.y, shape.w, shape.h);
+        break;
+      }
+      case 'arrow': {
+        const { x1, y1, x2, y2 } = shape;
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const head  = shape.lineWidth * 4;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fill();
+        break;
+      }
+      case 'pen': {
+        ctx.beginPath();
+        shape.points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+        break;
+      }
+      case 'text': {
+        ctx.font = `600 ${shape.fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", system-ui, sans-serif`;
+        ctx.textBaseline = 'top';
+        // 白色描边保证在任意背景上可读
+        ctx.lineWidth = shape.fontSize / 5;
+        ctx.strokeStyle = '#fff';
+        ctx.strokeText(shape.text, shape.x, shape.y);
+        ctx.fillText(shape.text, shape.x, shape.y);
+        break;
+      }
+      case 'blur': {
+        pixelateRegion(ctx, img, shape);
+        break;
+      }
+    }
+    ctx.restore();
+  });
+}
+
+/** 马赛克：把区域缩小取样后再无平滑放大 */
+function pixelateRegion(ctx, img, shape) {
+  const x = Math.round(Math.min(shape.x, shape.x + shape.w));
+  const y = Math.round(Math.min(shape.y, shape.y + shape.h));
+  const w = Math.round(Math.abs(shape.w));
+  const h = Math.round(Math.abs(shape.h));
+  if (w < 1 || h < 1) return;
+
+  const block = Math.max(6, Math.round(Math.max(img.naturalWidth, img.naturalHeight) / 120));
+  const tmp = document.createElement('canvas');
+  tmp.width  = Math.max(1, Math.ceil(w / block));
+  tmp.height = Math.max(1, Math.ceil(h / block));
+  tmp.getContext('2d').drawImage(img, x, y, w, h, 0, 0, tmp.width, tmp.height);
+
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(tmp, 0, 0, tmp.width, tmp.height, x, y, w, h);
+}
+
+/** 在点击位置放置文字输入框，回车确认、Esc 取消 */
+function startTextAnnotation(point, e) {
+  $('annot-text-input')?.remove();
+  const area  = $('snapshot-area');
+  const rect  = area.getBoundingClientRect();
+  const input = document.createElement('input');
+  input.id = 'annot-text-input';
+  input.className = 'annot-text-input';
+  input.style.left  = `${e.clientX - rect.left}px`;
+  input.style.top   = `${e.clientY - rect.top}px`;
+  input.style.color = annot.color;
+  input.placeholder = '输入文字，回车确认';
+  area.appendChild(input);
+  setTimeout(() => input.focus());
+
+  let done = false;
+  const commit = (keep) => {
+    if (done) return;
+    done = true;
+    const text = input.value.trim();
+    input.remove();
+    if (keep && text) {
+      pushShape({ type: 'text', x: point.x, y: point.y, text, color: annot.color, fontSize: 16 / zoom.scale });
+    }
+  };
+  input.addEventListener('keydown', (ev) => {
+    ev.stopPropagation();
+    if (ev.key === 'Enter')  commit(true);
+    if (ev.key === 'Escape') commit(false);
+  });
+  input.addEventListener('blur', () => commit(true));
+}
+
+/** 注册标注交互（只调用一次） */
+function initAnnotation() {
+  const vp = $('zoom-viewport');
+
+  document.querySelectorAll('.annot-tool[data-tool]').forEach((btn) => {
+    btn.addEventListener('click', () => setAnnotTool(btn.dataset.tool));
+  });
+  $('annot-color').addEventListener('input', (e) => { annot.color = e.target.value; });
+  $('annot-undo').addEventListener('click', undoAnnotation);
+  $('annot-redo').addEventListener('click', redoAnnotation);
+  $('annot-clear').addEventListener('click', async () => {
+    const confirmed = await showConfirm('确认清除全部标注？', { title: '清除标注', confirmText: '清除' });
+    if (!confirmed) return;
+    annot.shapes = [];
+    annot.redo = [];
+    renderAnnotations();
+  });
+
+  vp.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || annot.tool === 'pan') return;
+    e.preventDefault();
+    const p = toImagePoint(e);
+    const base = { color: annot.color, lineWidth: 3 / zoom.scale };
+
+    if (annot.tool === 'text') {
+      startTextAnnotation(p, e);
+      return;
+    }
+    if (annot.tool === 'pen') {
+      annot.drawing = { ...base, type: 'pen', points: [[p.x, p.y]] };
+    } else if (annot.tool === 'arrow') {
+      annot.drawing = { ...base, type: 'arrow', x1: p.x, y1: p.y, x2: p.x, y2: p.y };
+    } else {
+      annot.drawing = { ...base, type: annot.tool, x: p.x, y: p.y, w: 0, h: 0 };
+    }
+  });
+
+  window.addEventListener('mousemove', (e) => {
+    const shape = annot.drawing;
+    if (!shape) return;
+    const p = toImagePoint(e);
+    if (shape.type === 'pen') {
+      shape.points.push([p.x, p.y]);
+    } else if (shape.type === 'arrow') {
+      shape.x2 = p.x;
+      shape.y2 = p.y;
+    } else {
+      shape.w = p.x - shape.x;
+      shape.h = p.y - shape.y;
+    }
+    renderAnnotations();
+  });
+
+  window.addEventListener('mouseup', () => {
+    const shape = annot.drawing;
+    if (!shape) return;
+    annot.drawing = null;
+    // 忽略误触产生的零尺寸图形
+    const tiny = (shape.type === 'pen' && shape.points.length < 2)
+      || (shape.type === 'arrow' && Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) < 2)
+      || ((shape.type === 'rect' || shape.type === 'blur') && (Math.abs(shape.w) < 2 || Math.abs(shape.h) < 2));
+    if (tiny) { renderAnnotations(); return; }
+    pushShape(shape);
+  });
+
+  // 快捷键：仅在快照标签可见且焦点不在输入控件（含 contenteditable）时生效
+  document.addEventListener('keydown', (e) => {
+    if ($('snapshot-modal').classList.contains('hidden') || $('annot-toolbar').classList.contains('hidden')) return;
+    if (!$('panel-snapshot').classList.contains('active')) return;
+    if (e.target.matches('input, textarea, select') || e.target.isContentEditable) return;
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) redoAnnotation(); else undoAnnotation();
+      return;
+    }
+    const tools = { v: 'pan', r: 'rect', a: 'arrow', p: 'pen', t: 'text', b: 'blur' };
+    if (!e.ctrlKey && !e.metaKey && tools[key]) setAnnotTool(tools[key]);
+  });
+}
+
+/** 合成原图与标注，返回导出用的 data URL */
+function getAnnotatedSnapshotUrl() {
+  const img = $('snapshot-img');
+  const canvas = document.createElement('canvas');
+  canvas.width  = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+  drawAnnotations(ctx, img, annot.shapes);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * 在 iframe 元素所在的 frame 中执行注入函数
+ * 先注入 content.js（已注入时直接返回），注入函数中可通过 window.__ifi 按 locator 找回元素
+ */
+async function execInFrame(frameId, func, args = []) {
+  const target = { tabId: currentTabId, frameIds: [frameId] };
+  await chrome.scripting.executeScript({ target, files: ['content.js'] });
+  return chrome.scripting.executeScript({ target, func, args });
+}
+
+/** 扫描后元素被页面移除（或所在 frame 已销毁）时的错误提示 */
+const ELEMENT_GONE = '该元素已不在页面中，请重新扫描';
+/** 注入函数找不到元素时的返回值，与 content.js 中的 GONE 保持一致 */
+const GONE_FLAG = '__ifi_gone__';
+
+/**
+ * 对扫描到的元素执行注入函数，func 的第一个参数为该元素的 locator，其余为 args
+ * 注入函数找不到元素时需返回 window.__ifi.GONE，此处统一转换为 ELEMENT_GONE 错误
+ * @returns {Promise<any>} 注入函数的返回值
+ */
+async function execOnElement(entry, func, args = []) {
+  let injected;
+  try {
+    injected = await execInFrame(entry.frameId, func, [entry.locator, ...args]);
+  } catch (err) {
+    if (/no frame with id/i.test(err.message)) throw new Error(ELEMENT_GONE);
+    throw err;
+  }
+  const result = injected[0]?.result;
+  if (result === GONE_FLAG) throw new Error(ELEMENT_GONE);
+  return result;
+}
+
+/**
+ * 定位 iframe 在顶层视口中的可见区域（用于截图裁剪）
+ * 嵌套 iframe 需由外到内逐级滚动到视口，再把各级 frame 内的坐标累加换算到顶层视口，
+ * 并与每一级父 iframe 的内容区求交集（被父 iframe 裁掉的部分截不到）
+ * - boxLeft / boxTop 为元素（未裁剪）左上角在顶层视口中的坐标，完整截图拼接时用于换算块偏移
+ * @param {object} [opts]
+ * @param {boolean} [opts.scroll] - 是否先把整条祖先链滚动到视口内，默认 true
+ * @returns {Promise<{x,y,width,height,fullWidth,fullHeight,boxLeft,boxTop,devicePixelRatio}|null>}
+ */
+async function locateIframeInViewport(index, { scroll = true } = {}) {
+  const chain = [];
+  for (let e = iframeList[index]; e; e = iframeList[e.parentIndex]) chain.unshift(e);
+  if (chain.length === 0) return null;
+
+  // 由外到内滚动，最后一次不滚动地重新读取各级坐标（内层滚动可能带动外层）
+  if (scroll) {
+    for (const e of chain) {
+      await execOnElement(e, scrollAndGetRect);
+    }
+  }
+  const rects = [];
+  for (const e of chain) {
+    const rect = await execOnElement(e, scrollAndGetRect, [false]);
+    if (!rect) return null;
+    rects.push(rect);
+  }
+
+  const top = rects[0];
+  let ox = 0, oy = 0;
+  let clip = { l: 0, t: 0, r: top.viewWidth, b: top.viewHeight };
+  let box = null;
+
+  rects.forEach((r, i) => {
+    box = { l: ox + r.left, t: oy + r.top, r: ox + r.left + r.fullWidth, b: oy + r.top + r.fullHeight };
+    if (i < rects.length - 1) {
+      // 下一级 frame 的坐标原点 = 当前 iframe 内容区左上角
+      ox = box.l + r.contentLeft;
+      oy = box.t + r.contentTop;
+      clip = {
+        l: Math.max(clip.l, ox),
+        t: Math.max(clip.t, oy),
+        r: Math.min(clip.r, ox + r.viewInnerWidth),
+        b: Math.min(clip.b, oy + r.viewInnerHeight),
+      };
+    }
+  });
+
+  const x = Math.max(box.l, clip.l);
+  const y = Math.max(box.t, clip.t);
+  const last = rects[rects.length - 1];
+  return {
+    x, y,
+    width  : Math.round(Math.min(box.r, clip.r) - x),
+    height : Math.round(Math.min(box.b, clip.b) - y),
+    fullWidth  : last.fullWidth,
+    fullHeight : last.fullHeight,
+    boxLeft    : box.l,
+    boxTop     : box.t,
+    devicePixelRatio: top.devicePixelRatio,
+  };
+}
+
 /**
- * 在页面上下文中执行：将第 index 个 iframe 滚动到视口中央，
+ * 在页面上下文中执行：将当前 frame 中 locator 对应的元素滚动到视口中央，
  * 等待渲染稳定后返回其可见区域坐标（用于截图裁剪）
+ * - left / top / viewWidth / viewHeight  未裁剪的原始坐标与本 frame 视口尺寸（嵌套换算用）
+ * - contentLeft / contentTop / viewInner*  iframe 内容区相对边框盒的偏移与尺寸
  */
-function scrollAndGetRect(index) {
+function scrollAndGetRect(locator, scroll = true) {
   return new Promise((resolve) => {
-    const iframes = document.querySelectorAll('iframe');
-    const iframe  = iframes[index];
+    const iframe = window.__ifi.resolve(locator);
 
-    if (!iframe) { resolve(null); return; }
+    if (!iframe) { resolve(window.__ifi.GONE); return; }
 
-    iframe.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    if (scroll) iframe.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
 
     // 等待浏览器完成滚动 + 重新布局
     requestAnimationFrame(() => {
@@ -1157,6 +5671,10 @@ function scrollAndGetRect(index) {
         const r = Math.min(rect.right,  window.innerWidth);
         const b = Math.min(rect.bottom, window.innerHeight);
 
+        const style = getComputedStyle(iframe);
+        const padL  = parseFloat(style.paddingLeft) || 0;
+        const padT  = parseFloat(style.paddingTop)  || 0;
+
         resolve({
           x, y,
           width  : Math.round(r - x),
@@ -1164,6 +5682,14 @@ function scrollAndGetRect(index) {
           fullWidth  : Math.round(rect.width),
           fullHeight : Math.round(rect.height),
           devicePixelRatio: window.devicePixelRatio || 1,
+          left       : rect.left,
+          top        : rect.top,
+          viewWidth  : window.innerWidth,
+          viewHeight : window.innerHeight,
+          contentLeft    : iframe.clientLeft + padL,
+          contentTop     : iframe.clientTop  + padT,
+          viewInnerWidth : iframe.clientWidth  - padL - (parseFloat(style.paddingRight)  || 0),
+          viewInnerHeight: iframe.clientHeight - padT - (parseFloat(style.paddingBottom) || 0),
         });
       }, 200);
     });
@@ -1171,7 +5697,78 @@ function scrollAndGetRect(index) {
 }
 
 // ===== iframe 内嵌预览弹窗 =====
-function openIframePreview(url, origWidth = 0, origHeight = 0) {
+
+/** 设备预设：宽高为 CSS 像素（竖屏），dpr 为设备像素比 */
+const DEVICE_PRESETS = [
+  { id: 'iphone-se',   group: '手机', label: 'iPhone SE',      width: 375,  height: 667,  dpr: 2 },
+  { id: 'iphone-15',   group: '手机', label: 'iPhone 15',      width: 393,  height: 852,  dpr: 3 },
+  { id: 'pixel-7',     group: '手机', label: 'Pixel 7',        width: 412,  height: 915,  dpr: 2.625 },
+  { id: 'galaxy-s20',  group: '手机', label: 'Galaxy S20',     width: 360,  height: 800,  dpr: 3 },
+  { id: 'ipad-mini',   group: '平板', label: 'iPad mini',      width: 768,  height: 1024, dpr: 2 },
+  { id: 'ipad-air',    group: '平板', label: 'iPad Air',       width: 820,  height: 1180, dpr: 2 },
+  { id: 'ipad-pro',    group: '平板', label: 'iPad Pro 12.9"', width: 1024, height: 1366, dpr: 2 },
+  { id: 'laptop',      group: '桌面', label: '笔记本',          width: 1366, height: 768,  dpr: 1 },
+  { id: 'laptop-hidpi', group: '桌面', label: '笔记本 HiDPI',   width: 1440, height: 900,  dpr: 2 },
+  { id: 'desktop',     group: '桌面', label: '桌面 1080p',      width: 1920, height: 1080, dpr: 1 },
+];
+
+/** 预设下拉：原始尺寸 + 按分组的设备 + 自定义 */
+function initPreviewDevices() {
+  const groups = [...new Set(DEVICE_PRESETS.map((d) => d.group))];
+  $('ipm-device').innerHTML = '<option value="original">原始尺寸</option>' +
+    groups.map((group) => `<optgroup label="${escHtml(group)}">${DEVICE_PRESETS
+      .filter((d) => d.group === group)
+      .map((d) => `<option value="${d.id}">${escHtml(d.label)} · ${d.width}×${d.height}</option>`)
+      .join('')}</optgroup>`).join('') +
+    '<option value="custom">自定义</option>';
+}
+
+/**
+ * 临时调整页面中 iframe 的尺寸（size 为 null 时还原），页面刷新后自然失效
+ * @param {{width: number, height: number}|null} size
+ */
+async function resizeLiveIframe(entry, size) {
+  await execOnElement(entry, (locator, size) => {
+    const el = window.__ifi.resolve(locator);
+    if (!el) return window.__ifi.GONE;
+    if (size) window.__ifi.resize(el, size.width, size.height);
+    else window.__ifi.restoreSize(el);
+    return true;
+  }, [size]);
+  entry.resized = !!size;
+  renderResizedBadges();
+}
+
+/** 被临时调整尺寸的 iframe 卡片显示「还原尺寸」 */
+function renderResizedBadges() {
+  document.querySelectorAll('.iframe-card').forEach((card) => {
+    card.querySelector('.card-resized-badge')?.remove();
+    const entry = iframeList[Number(card.dataset.index)];
+    if (!entry?.resized || replaySession) return;
+
+    const badge = document.createElement('button');
+    badge.className = 'card-audit-badge card-audit-badge--low card-resized-badge';
+    badge.textContent = '临时尺寸 · 还原';
+    badge.title = '该 iframe 的尺寸已在预览中临时修改，点击还原为页面原样式';
+    badge.addEventListener('click', async () => {
+      try {
+        await resizeLiveIframe(entry, null);
+        showToast('已还原 iframe 尺寸', 'success');
+      } catch (err) {
+        showToast(err.message, 'error');
+      }
+    });
+    card.querySelector('.card-size').after(badge);
+  });
+}
+
+/**
+ * @param {string} url
+ * @param {number} [origWidth]  - 页面中 iframe 的原始宽高，「原始尺寸」按此渲染
+ * @param {number} [origHeight]
+ * @param {object} [entry]      - 对应的扫描结果，提供时可把预览尺寸临时应用到页面中的该元素
+ */
+function openIframePreview(url, origWidth = 0, origHeight = 0, entry = null) {
   const modal      = $('iframe-preview-modal');
   const iframe     = $('ipm-iframe');
   const scaleWrap  = $('ipm-scale-wrap');
@@ -1182,27 +5779,83 @@ function openIframePreview(url, origWidth = 0, origHeight = 0) {
   const favicon    = $('ipm-favicon');
   const scaleBadge = $('ipm-scale-badge');
 
-  /** 按原始尺寸渲染 iframe，等比缩放适应容器并居中 */
+  // 预览尺寸：preset 为 original / custom / 设备 id；宽高为 0 时填满弹窗；landscape 为预设的横屏状态
+  const view = { preset: 'original', width: origWidth, height: origHeight, dpr: 0, landscape: false };
+  let shown = { width: 0, height: 0 };
+
+  /** 按当前尺寸渲染 iframe，等比缩放适应容器并居中 */
   function applyScale() {
     const body = modal.querySelector('.ipm-body');
     const bw = body.clientWidth;
     const bh = body.clientHeight;
-    const iw = origWidth  > 0 ? origWidth  : bw;
-    const ih = origHeight > 0 ? origHeight : bh;
-    const scale = Math.min(bw / iw, bh / ih, 1);
+    const iw = view.width  > 0 ? view.width  : bw;
+    const ih = view.height > 0 ? view.height : bh;
+    // Chromium 中 iframe 元素的 CSS zoom 会传递给内部文档，其 devicePixelRatio = 屏幕 DPR × zoom
+    const zoom = view.dpr > 0 ? view.dpr / window.devicePixelRatio : 1;
+    const ow = iw * zoom;
+    const oh = ih * zoom;
+    const scale = Math.min(bw / ow, bh / oh, 1);
+    shown = { width: Math.round(iw), height: Math.round(ih) };
 
     iframe.style.width        = `${iw}px`;
     iframe.style.height       = `${ih}px`;
-    scaleWrap.style.width     = `${iw}px`;
-    scaleWrap.style.height    = `${ih}px`;
+    iframe.style.zoom         = zoom === 1 ? '' : String(zoom);
+    scaleWrap.style.width     = `${ow}px`;
+    scaleWrap.style.height    = `${oh}px`;
     scaleWrap.style.transform = `scale(${scale})`;
-    scaleWrap.style.left      = `${(bw - iw * scale) / 2}px`;
-    scaleWrap.style.top       = `${(bh - ih * scale) / 2}px`;
+    scaleWrap.style.left      = `${(bw - ow * scale) / 2}px`;
+    scaleWrap.style.top       = `${(bh - oh * scale) / 2}px`;
     scaleBadge.textContent    = `${Math.round(scale * 100)}%`;
   }
 
+  /** 同步设备栏控件与 view */
+  function syncDeviceBar() {
+    $('ipm-device').value = view.preset;
+    $('ipm-width').value  = view.width  > 0 ? view.width  : '';
+    $('ipm-height').value = view.height > 0 ? view.height : '';
+    $('ipm-dpr').value    = view.dpr > 0 ? String(view.dpr) : '';
+    const canApply = !!entry && !replaySession;
+    $('ipm-apply-live').classList.toggle('hidden', !canApply);
+    $('ipm-apply-live').textContent = entry?.resized ? '还原页面尺寸' : '应用到页面';
+  }
+
+  /** 按预设（含横屏状态）计算宽高 */
+  function applyPreset() {
+    const device = DEVICE_PRESETS.find((d) => d.id === view.preset);
+    let width  = device ? device.width  : origWidth;
+    let height = device ? device.height : origHeight;
+    if (view.landscape) [width, height] = [height, width];
+    view.width  = width;
+    view.height = height;
+    if (device) view.dpr = device.dpr;
+    syncDeviceBar();
+    applyScale();
+  }
+
+  /** 显示拒绝加载提示：有响应记录时逐条说明原因，没有则保留通用提示 */
+  function showBlocked(record) {
+    loading.classList.add('hidden');
+    blocked.classList.remove('hidden');
+    const findings = record ? explainFraming(record, location.origin) : [];
+    $('ipm-blocked-reasons').innerHTML = auditItemsHtml(findings, FRAMING_LEVELS);
+    $('ipm-blocked-hint').textContent = findings.some((f) => f.level === 'high')
+      ? '预览窗口运行在扩展页面中，嵌入方来源为扩展自身，与原页面中的嵌入结果可能不同'
+      : '该网站设置了 X-Frame-Options 或 CSP，无法嵌入预览';
+  }
+
+  /** load / 超时后按响应记录确认是否被拒绝（被拒绝的 iframe 同样会触发 load） */
+  async function checkResponse(startedAt, fallbackBlocked) {
+    const record = await waitForPreviewResponse(url, startedAt);
+    // 弹窗已关闭或已换成其他地址的预览
+    if (modal.classList.contains('hidden') || iframe._loadHandler !== onLoad) return;
+    if (fallbackBlocked || (record && explainFraming(record, location.origin).some((f) => f.level === 'high'))) {
+      showBlocked(record);
+    }
+  }
+
   // 重置状态
   iframe.src = '';
+  let startedAt = Date.now();
   loading.classList.remove('hidden');
   blocked.classList.add('hidden');
   titleEl.textContent = '加载中...';
@@ -1217,20 +5870,19 @@ function openIframePreview(url, origWidth = 0, origHeight = 0) {
   } catch (_) {}
 
   modal.classList.remove('hidden');
+  syncDeviceBar();
 
   // 等 DOM 渲染后再取容器尺寸
   requestAnimationFrame(applyScale);
 
   // 加载超时检测（部分跨域页面 load 事件不会触发）
-  let loadTimer = setTimeout(() => {
-    loading.classList.add('hidden');
-    blocked.classList.remove('hidden');
-  }, 8000);
+  let loadTimer = setTimeout(() => checkResponse(startedAt, true), 8000);
 
   const onLoad = () => {
     clearTimeout(loadTimer);
     loading.classList.add('hidden');
     applyScale();
+    checkResponse(startedAt, false);
     // 尝试读取 iframe 标题（同源时有效）
     try {
       const t = iframe.contentDocument?.title;
@@ -1240,8 +5892,7 @@ function openIframePreview(url, origWidth = 0, origHeight = 0) {
 
   const onError = () => {
     clearTimeout(loadTimer);
-    loading.classList.add('hidden');
-    blocked.classList.remove('hidden');
+    checkResponse(startedAt, true);
   };
 
   iframe.removeEventListener('load', iframe._loadHandler);
@@ -1251,24 +5902,85 @@ function openIframePreview(url, origWidth = 0, origHeight = 0) {
   iframe.addEventListener('load', onLoad);
   iframe.addEventListener('error', onError);
 
-  iframe.src = url;
+  // 先标记记录预览请求，background.js 才会保存其响应头；期间又打开了别的预览则不再加载
+  enableResponseCapture(-1).finally(() => {
+    if (iframe._loadHandler === onLoad) iframe.src = url;
+  });
 
   // 头部按钮事件
   $('ipm-btn-reload').onclick = () => {
     loading.classList.remove('hidden');
     blocked.classList.add('hidden');
+    startedAt = Date.now();
     iframe.src = url;
-    loadTimer = setTimeout(() => {
-      loading.classList.add('hidden');
-      blocked.classList.remove('hidden');
-    }, 8000);
+    clearTimeout(loadTimer);
+    loadTimer = setTimeout(() => checkResponse(startedAt, true), 8000);
   };
   $('ipm-btn-newtab').onclick  = () => chrome.tabs.create({ url });
   $('ipm-btn-fallback').onclick = () => chrome.tabs.create({ url });
   $('ipm-btn-close').onclick = () => {
     modal.classList.add('hidden');
     iframe.src = '';
+    iframe.style.zoom = '';
     clearTimeout(loadTimer);
+    chrome.storage.session.remove([responseCaptureKey(-1), frameResponsesKey(-1)]);
+  };
+
+  // 设备栏事件
+  $('ipm-device').onchange = (e) => {
+    view.preset = e.target.value;
+    view.landscape = false;
+    if (view.preset === 'original') view.dpr = 0;
+    if (view.preset === 'custom') {
+      syncDeviceBar();
+      $('ipm-width').focus();
+      return;
+    }
+    applyPreset();
+  };
+  const onSizeInput = () => {
+    const width  = Math.round(Number($('ipm-width').value));
+    const height = Math.round(Number($('ipm-height').value));
+    view.preset = 'custom';
+    view.landscape = false;
+    view.width  = width  > 0 ? Math.min(width, 4096)  : 0;
+    view.height = height > 0 ? Math.min(height, 4096) : 0;
+    $('ipm-device').value = 'custom';
+    applyScale();
+  };
+  $('ipm-width').oninput  = onSizeInput;
+  $('ipm-height').oninput = onSizeInput;
+  $('ipm-rotate').onclick = () => {
+    if (view.preset === 'custom') {
+      [view.width, view.height] = [shown.height, shown.width];
+      syncDeviceBar();
+      applyScale();
+      return;
+    }
+    view.landscape = !view.landscape;
+    applyPreset();
+  };
+  $('ipm-dpr').onchange = (e) => {
+    view.dpr = Number(e.target.value) || 0;
+    applyScale();
+  };
+  $('ipm-apply-live').onclick = async () => {
+    const btn = $('ipm-apply-live');
+    btn.disabled = true;
+    try {
+      if (entry.resized) {
+        await resizeLiveIframe(entry, null);
+        showToast('已还原页面中 iframe 的尺寸', 'success');
+      } else {
+        await resizeLiveIframe(entry, shown);
+        showToast(`已将页面中的 iframe 临时设为 ${shown.width} × ${shown.height}`, 'success');
+      }
+    } catch (err) {
+      showToast(err.message, 'error');
+    } finally {
+      btn.disabled = false;
+      syncDeviceBar();
+    }
   };
 }
 